@@ -0,0 +1,1089 @@
+// Focus Mode - Background Service Worker
+
+importScripts("shared.js");
+
+const SESSION_ALARM = "focus-mode-session-end";
+const MAX_SESSION_MINUTES = 240;
+const MAX_HISTORY_STEPS = 20;
+
+// Sync: rules are split across chunk items to stay under per-item quotas
+const SYNC_ALARM = "focus-mode-sync";
+const SYNC_INTERVAL_MINUTES = 30;
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_META_KEY = "syncMeta";
+const SYNC_CHUNK_PREFIX = "syncChunk";
+// Written together with rules pulled from other devices, so they aren't
+// recorded as a local undo step
+const SYNC_PULL_KEY = "syncPulledAt";
+const MAX_SYNC_CONFLICTS = 10;
+
+// Subscriptions: shared rule lists refreshed from their URL
+const SUBSCRIPTION_ALARM = "focus-mode-subscriptions";
+const SUBSCRIPTION_REFRESH_MINUTES = 360;
+const MAX_SUBSCRIPTION_BYTES = 2 * 1024 * 1024;
+
+// Context menu entries, sent to the frame that was right-clicked
+const CONTEXT_MENU_PARENT = "focus-mode";
+const CONTEXT_MENU_COMMANDS = {
+  "focus-mode-hide": { command: "hide", title: "Hide this element" },
+  "focus-mode-hide-similar": { command: "similar", title: "Hide all similar" },
+  "focus-mode-pick-parent": { command: "parent", title: "Pick parent…" },
+};
+
+// Early styles: hiding CSS injected when a page starts loading, until its
+// content script takes over. Records survive worker restarts in session
+// storage, one item per tab: "earlyStyles:<tabId>" -> { frameId: css }
+const EARLY_STYLES_PREFIX = "earlyStyles:";
+
+// Each queue serializes read-modify-write cycles on its storage keys,
+// so rapid changes don't overwrite each other
+const enqueueHistory = createTaskQueue();
+const enqueueSync = createTaskQueue();
+const enqueueSubscriptions = createTaskQueue();
+let syncTimeout = null;
+
+// Early style records are queued per tab, so one busy tab never delays another
+const earlyStylesQueues = new Map();
+
+// Storage values for FocusModeShared.PAGE_RULE_KEYS, read once per change
+// so each navigation doesn't wait on a storage read
+let pageRuleData = null;
+
+// Listen for messages from popup or content scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "startSession") {
+    startSession(message.minutes)
+      .then((session) => sendResponse({ success: true, session }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === "stopSession") {
+    endSession(false)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === "addSubscription") {
+    enqueueSubscriptions(() => addSubscription(message))
+      .then((subscription) => sendResponse({ success: true, subscription }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === "refreshSubscriptions") {
+    enqueueSubscriptions(() => refreshSubscriptions(message.id))
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Embedded frames can't read the top page's URL across origins
+  if (message.action === "getFrameContext") {
+    sendResponse({
+      success: Boolean(sender.tab),
+      topUrl: sender.tab ? sender.tab.url : null,
+      frameId: sender.frameId
+    });
+    return false;
+  }
+
+  // Content scripts in different frames of a tab talk through the worker,
+  // e.g. to share one selection overlay in the top frame
+  if (message.action === "relayToFrames") {
+    if (!sender.tab) {
+      sendResponse({ success: false, error: "Not sent from a tab" });
+      return false;
+    }
+
+    const options = message.topOnly ? { frameId: 0 } : {};
+    chrome.tabs.sendMessage(sender.tab.id, message.payload, options).catch(() => {
+      // Frames without a content script, or none answering, are fine
+    });
+    sendResponse({ success: true });
+    return false;
+  }
+
+  // The content script's own stylesheet is in place; drop the early copy
+  if (message.action === "removeEarlyStyles") {
+    if (!sender.tab) {
+      sendResponse({ success: false, error: "Not sent from a tab" });
+      return false;
+    }
+
+    enqueueEarlyStyles(sender.tab.id, () => removeEarlyStyles(sender.tab.id, sender.frameId))
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === "undo" || message.action === "redo") {
+    enqueueHistory(() => stepHistory(message.domain, message.action))
+      .then((entry) => sendResponse({ success: true, label: entry.label }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  return false;
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SESSION_ALARM) {
+    endSession(true);
+  }
+
+  if (alarm.name === SYNC_ALARM) {
+    enqueueSync(syncNow);
+  }
+
+  if (alarm.name === SUBSCRIPTION_ALARM) {
+    enqueueSubscriptions(() => refreshSubscriptions());
+  }
+});
+
+// Sessions that expired while the browser was closed end without a notification
+chrome.runtime.onStartup.addListener(() => {
+  clearExpiredSession();
+  enqueueSync(syncNow);
+  ensureSubscriptionAlarm();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  createContextMenus();
+  clearExpiredSession();
+  enqueueSync(syncNow);
+  ensureSubscriptionAlarm();
+  // Superseded by ruleHistory
+  chrome.storage.local.remove("undoStack");
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const entry = CONTEXT_MENU_COMMANDS[info.menuItemId];
+  if (!entry || !tab || tab.id < 0) return;
+
+  chrome.tabs.sendMessage(tab.id, { action: "contextMenu", command: entry.command }, { frameId: info.frameId }).catch(() => {
+    // Pages without a content script, such as the Chrome Web Store
+  });
+});
+
+// Hide matching elements before the page first paints; content scripts
+// only run once the document has been parsed
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.tabId < 0) return;
+  enqueueEarlyStyles(details.tabId, () => injectEarlyStyles(details)).catch((error) => {
+    console.error("[Focus Mode] Could not inject early styles:", error);
+  });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  enqueueEarlyStyles(tabId, () => chrome.storage.session.remove(`${EARLY_STYLES_PREFIX}${tabId}`))
+    .catch((error) => {
+      console.error("[Focus Mode] Could not clear early styles:", error);
+    })
+    .finally(() => earlyStylesQueues.delete(tabId));
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local") return;
+  if (FocusModeShared.PAGE_RULE_KEYS.some((key) => changes[key])) {
+    pageRuleData = null;
+  }
+});
+
+// Every write to hiddenSelectors, whoever makes it, becomes an undo step,
+// except rules arriving from another device through sync
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes.hiddenSelectors) return;
+
+  // Undo and redo write the history in the same call; don't record them again
+  if (changes.ruleHistory) return;
+
+  // Another device's change isn't this device's to undo, and must not clear its redo
+  if (changes[SYNC_PULL_KEY]) return;
+
+  const { oldValue, newValue } = changes.hiddenSelectors;
+  enqueueHistory(() => recordRuleChange(oldValue || {}, newValue || {})).catch((error) => {
+    console.error("[Focus Mode] Could not record history:", error);
+  });
+});
+
+// Push local rule changes and pull other devices' changes while sync is on
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "sync") {
+    if (changes[SYNC_META_KEY]) {
+      scheduleSync();
+    }
+    return;
+  }
+
+  if (areaName !== "local") return;
+
+  if (changes.settings) {
+    const wasEnabled = isSyncEnabled(changes.settings.oldValue);
+    const isEnabled = isSyncEnabled(changes.settings.newValue);
+    if (isEnabled && !wasEnabled) {
+      enqueueSync(syncNow);
+    } else if (wasEnabled && !isEnabled) {
+      enqueueSync(stopSync);
+    }
+  }
+
+  // Also fires for rules pulled by a sync; the next run then finds nothing new
+  if (changes.hiddenSelectors) {
+    scheduleSync();
+  }
+});
+
+/**
+ * Starts a timed focus session and schedules its end
+ * @param {number} minutes - Session length in minutes
+ * @returns {Promise<Object>} The stored session
+ */
+async function startSession(minutes) {
+  const duration = Number(minutes);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_SESSION_MINUTES) {
+    throw new Error("Invalid session length");
+  }
+
+  const startedAt = Date.now();
+  const session = {
+    minutes: duration,
+    startedAt,
+    endsAt: startedAt + duration * 60 * 1000,
+  };
+
+  await chrome.storage.local.set({ focusSession: session });
+  await chrome.alarms.create(SESSION_ALARM, { when: session.endsAt });
+
+  console.log(`[Focus Mode] Focus session started (${duration} min)`);
+  return session;
+}
+
+/**
+ * Ends the running focus session
+ * Content scripts react to the storage change and drop session-only rules
+ * @param {boolean} completed - True when the timer ran out, false if stopped early
+ */
+async function endSession(completed) {
+  const result = await chrome.storage.local.get(["focusSession"]);
+  const session = result.focusSession;
+
+  await chrome.alarms.clear(SESSION_ALARM);
+  await chrome.storage.local.remove("focusSession");
+
+  if (completed && session) {
+    chrome.notifications.create(`focus-mode-session-${session.startedAt}`, {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: "Focus session complete",
+      message: `Nice work! Your ${session.minutes}-minute focus session has ended.`,
+    });
+  }
+
+  console.log(`[Focus Mode] Focus session ${completed ? "completed" : "stopped"}`);
+}
+
+async function clearExpiredSession() {
+  const result = await chrome.storage.local.get(["focusSession"]);
+  const session = result.focusSession;
+
+  if (session && session.endsAt <= Date.now()) {
+    await endSession(false);
+  }
+}
+
+/**
+ * Creates a queue that runs async tasks one after another
+ * A failed task doesn't stop the ones after it
+ * @returns {Function} enqueue(task) returning a promise for the task's result
+ */
+function createTaskQueue() {
+  let queue = Promise.resolve();
+
+  return (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * Records a hiddenSelectors change as an undo step for each site it touches
+ * Imports and "clear all" can touch many sites; their steps share a group
+ * so undoing on any one of those sites reverts the whole write
+ * @param {Object} oldValue - hiddenSelectors before the change
+ * @param {Object} newValue - hiddenSelectors after the change
+ */
+async function recordRuleChange(oldValue, newValue) {
+  const changesBySite = {};
+  const siteKeys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+
+  for (const siteKey of siteKeys) {
+    const before = oldValue[siteKey] || [];
+    const after = newValue[siteKey] || [];
+    if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+    const historyKey = FocusModeShared.getHistoryKey(siteKey);
+    const change = changesBySite[historyKey] || { before: {}, after: {} };
+    change.before[siteKey] = before;
+    change.after[siteKey] = after;
+    changesBySite[historyKey] = change;
+  }
+
+  if (Object.keys(changesBySite).length === 0) return;
+
+  const result = await chrome.storage.local.get(["ruleHistory"]);
+  const ruleHistory = result.ruleHistory || {};
+  const now = Date.now();
+  const siteCount = Object.keys(changesBySite).length;
+  const group = siteCount > 1 ? `group-${now.toString(36)}` : null;
+
+  for (const [historyKey, change] of Object.entries(changesBySite)) {
+    const history = ruleHistory[historyKey] || { undo: [], redo: [] };
+    const entry = {
+      label: describeRuleChange(change),
+      timestamp: now,
+      before: change.before,
+      after: change.after,
+    };
+
+    if (group) {
+      entry.group = group;
+      entry.label += ` (and ${siteCount - 1} other site${siteCount > 2 ? "s" : ""})`;
+    }
+
+    history.undo.push(entry);
+
+    if (history.undo.length > MAX_HISTORY_STEPS) {
+      history.undo.shift();
+    }
+
+    // A new change makes anything previously undone unreachable
+    history.redo = [];
+    ruleHistory[historyKey] = history;
+  }
+
+  await chrome.storage.local.set({ ruleHistory });
+}
+
+/**
+ * Summarizes a recorded change for the undo button and toast
+ * @param {{before: Object, after: Object}} change - Rules per site key
+ * @returns {string} Description such as "Hidden: Sidebar" or "Removed 3 rules"
+ */
+function describeRuleChange(change) {
+  const added = [];
+  const removed = [];
+  const edited = [];
+
+  for (const siteKey of Object.keys(change.after)) {
+    const before = new Map(change.before[siteKey].map((rule) => [FocusModeShared.getRuleKey(rule), rule]));
+    const after = new Map(change.after[siteKey].map((rule) => [FocusModeShared.getRuleKey(rule), rule]));
+
+    for (const [key, rule] of after) {
+      if (!before.has(key)) {
+        added.push(rule);
+      } else if (JSON.stringify(before.get(key)) !== JSON.stringify(rule)) {
+        edited.push(rule);
+      }
+    }
+
+    for (const [key, rule] of before) {
+      if (!after.has(key)) {
+        removed.push(rule);
+      }
+    }
+  }
+
+  const labelOf = (rule) => rule.label || rule.selector;
+
+  if (added.length > 0 && removed.length === 0 && edited.length === 0) {
+    return added.length === 1 ? `Hidden: ${labelOf(added[0])}` : `Hidden ${added.length} elements`;
+  }
+  if (removed.length > 0 && added.length === 0 && edited.length === 0) {
+    return removed.length === 1 ? `Removed: ${labelOf(removed[0])}` : `Removed ${removed.length} rules`;
+  }
+  if (edited.length === 1 && added.length === 0 && removed.length === 0) {
+    return `Edited: ${labelOf(edited[0])}`;
+  }
+  // A new selector changes the rule's key, so it shows up as one removal and
+  // one addition of a rule created at the same moment
+  if (added.length === 1 && removed.length === 1 && edited.length === 0 &&
+      added[0].timestamp === removed[0].timestamp) {
+    const repairs = added[0].repairs || [];
+    const repaired = repairs.length > 0 && repairs[repairs.length - 1].from === removed[0].selector;
+    return `${repaired ? "Repaired" : "Edited"}: ${labelOf(added[0])}`;
+  }
+  return `Changed ${added.length + removed.length + edited.length} rules`;
+}
+
+/**
+ * Undoes or redoes the latest step for a site by restoring its snapshot
+ * A grouped step also steps every other site whose latest step is in the
+ * same group, so multi-site writes such as imports revert as one
+ * @param {string} domain - Hostname the request came from
+ * @param {"undo"|"redo"} direction - Which way to step
+ * @returns {Promise<Object>} The history entry that was applied
+ */
+async function stepHistory(domain, direction) {
+  if (!domain) {
+    throw new Error("No site to " + direction);
+  }
+
+  const historyKey = FocusModeShared.getHistoryKey(domain);
+  const result = await chrome.storage.local.get(["hiddenSelectors", "ruleHistory"]);
+  const hiddenSelectors = result.hiddenSelectors || {};
+  const ruleHistory = result.ruleHistory || {};
+  const history = ruleHistory[historyKey];
+
+  const from = direction === "undo" ? "undo" : "redo";
+  const to = direction === "undo" ? "redo" : "undo";
+
+  if (!history || history[from].length === 0) {
+    throw new Error(`Nothing to ${direction}`);
+  }
+
+  const entry = history[from][history[from].length - 1];
+  const histories = entry.group
+    ? Object.values(ruleHistory).filter((other) => {
+      const top = other[from][other[from].length - 1];
+      return top && top.group === entry.group;
+    })
+    : [history];
+
+  for (const affected of histories) {
+    const step = affected[from].pop();
+    const snapshot = direction === "undo" ? step.before : step.after;
+
+    for (const [siteKey, rules] of Object.entries(snapshot)) {
+      if (rules.length > 0) {
+        hiddenSelectors[siteKey] = rules;
+      } else {
+        delete hiddenSelectors[siteKey];
+      }
+    }
+
+    affected[to].push(step);
+  }
+
+  // Written together so the change listener knows not to record it
+  await chrome.storage.local.set({ hiddenSelectors, ruleHistory });
+
+  console.log(`[Focus Mode] ${direction === "undo" ? "Undid" : "Redid"} "${entry.label}" on ${historyKey}`);
+  return entry;
+}
+
+/**
+ * Checks the opt-in sync switch; sync stays off unless the user turns it on
+ * @param {Object|undefined} settings - Stored global settings
+ * @returns {boolean} True if rules should sync across devices
+ */
+function isSyncEnabled(settings) {
+  return Boolean(settings && settings.sync === true);
+}
+
+/**
+ * Debounces bursts of rule changes into a single sync
+ */
+function scheduleSync() {
+  clearTimeout(syncTimeout);
+  syncTimeout = setTimeout(() => enqueueSync(syncNow), SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Merges local rules with the copy in chrome.storage.sync and writes the
+ * result to both. Uses the last merged state as the common base, so a
+ * rule changed on only one side takes that side's version; when both
+ * sides changed it, the newer one wins and the conflict is reported.
+ */
+async function syncNow() {
+  const result = await chrome.storage.local.get(["settings", "hiddenSelectors", "syncBase"]);
+  if (!isSyncEnabled(result.settings)) return;
+
+  await chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+  await setSyncStatus({ state: "syncing" });
+
+  try {
+    const now = Date.now();
+    const base = result.syncBase || {};
+    const remote = await readSyncedRules();
+    const local = versionRules(result.hiddenSelectors || {}, base, now);
+    const { merged, conflicts } = mergeVersionedRules(
+      base,
+      local,
+      remote ? remote.sites : {},
+      remote ? remote.updatedAt : 0,
+      now
+    );
+
+    // The user changed something while we were merging; start over with that
+    const latest = await chrome.storage.local.get(["hiddenSelectors"]);
+    if (JSON.stringify(latest.hiddenSelectors || {}) !== JSON.stringify(result.hiddenSelectors || {})) {
+      scheduleSync();
+      return;
+    }
+
+    if (!remote || JSON.stringify(merged) !== JSON.stringify(remote.sites)) {
+      await writeSyncedRules(merged, now);
+    }
+
+    const hiddenSelectors = unversionRules(merged);
+    const writes = { syncBase: merged };
+    if (JSON.stringify(hiddenSelectors) !== JSON.stringify(result.hiddenSelectors || {})) {
+      writes.hiddenSelectors = hiddenSelectors;
+      writes[SYNC_PULL_KEY] = now;
+    }
+    await chrome.storage.local.set(writes);
+
+    await setSyncStatus({ state: "synced", lastSyncedAt: now, error: null }, conflicts);
+    console.log(`[Focus Mode] Synced rules (${conflicts.length} conflict(s))`);
+  } catch (error) {
+    console.error("[Focus Mode] Sync failed:", error);
+    await setSyncStatus({ state: "error", error: error.message });
+  }
+}
+
+/**
+ * Turns sync off locally; the synced copy stays for other devices
+ */
+async function stopSync() {
+  clearTimeout(syncTimeout);
+  await chrome.alarms.clear(SYNC_ALARM);
+  await chrome.storage.local.remove(["syncBase", SYNC_PULL_KEY]);
+  await chrome.storage.local.set({ syncStatus: { state: "off", conflicts: [] } });
+}
+
+/**
+ * Updates the sync status shown in the popup
+ * @param {Object} update - Fields to change (state, lastSyncedAt, error)
+ * @param {Object[]} conflicts - Newly resolved conflicts to report
+ */
+async function setSyncStatus(update, conflicts = []) {
+  const result = await chrome.storage.local.get(["syncStatus"]);
+  const syncStatus = { ...(result.syncStatus || {}), ...update };
+  syncStatus.conflicts = [...conflicts, ...(syncStatus.conflicts || [])].slice(0, MAX_SYNC_CONFLICTS);
+  await chrome.storage.local.set({ syncStatus });
+}
+
+/**
+ * Converts hiddenSelectors into { siteKey: { ruleKey: { rule, updatedAt } } }
+ * A rule's updatedAt is carried over from the base while it is unchanged;
+ * edits are dated now and new rules by their creation time
+ * @param {Object} hiddenSelectors - Local rules per site key
+ * @param {Object} base - Versioned rules from the last sync
+ * @param {number} now - Current time in ms
+ * @returns {Object} Versioned rules
+ */
+function versionRules(hiddenSelectors, base, now) {
+  const sites = {};
+
+  for (const [siteKey, rules] of Object.entries(hiddenSelectors)) {
+    if (!Array.isArray(rules) || rules.length === 0) continue;
+
+    sites[siteKey] = {};
+    for (const rule of rules) {
+      const ruleKey = FocusModeShared.getRuleKey(rule);
+      const known = base[siteKey] && base[siteKey][ruleKey];
+
+      let updatedAt = rule.timestamp || now;
+      if (known) {
+        updatedAt = JSON.stringify(known.rule) === JSON.stringify(rule) ? known.updatedAt : now;
+      }
+
+      sites[siteKey][ruleKey] = { rule, updatedAt };
+    }
+  }
+
+  return sites;
+}
+
+/**
+ * Converts versioned rules back into the hiddenSelectors shape
+ * @param {Object} sites - Versioned rules
+ * @returns {Object} Rules per site key
+ */
+function unversionRules(sites) {
+  const hiddenSelectors = {};
+
+  for (const [siteKey, rules] of Object.entries(sites)) {
+    const list = Object.values(rules).map((entry) => entry.rule);
+    if (list.length > 0) {
+      hiddenSelectors[siteKey] = list;
+    }
+  }
+
+  return hiddenSelectors;
+}
+
+/**
+ * Three-way merge of versioned rules against the last synced base
+ * A missing entry means the rule was deleted on that side
+ * @param {Object} base - Versioned rules from the last sync
+ * @param {Object} local - Versioned rules on this device
+ * @param {Object} remote - Versioned rules in sync storage
+ * @param {number} remoteUpdatedAt - When the remote copy was written, used to date remote deletions
+ * @param {number} now - Current time in ms, used to date local deletions
+ * @returns {{merged: Object, conflicts: Object[]}} Merged rules and the conflicts resolved on the way
+ */
+function mergeVersionedRules(base, local, remote, remoteUpdatedAt, now) {
+  const merged = {};
+  const conflicts = [];
+  const sameRule = (a, b) => JSON.stringify(a && a.rule) === JSON.stringify(b && b.rule);
+  const siteKeys = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base)]);
+
+  for (const siteKey of siteKeys) {
+    const baseRules = base[siteKey] || {};
+    const localRules = local[siteKey] || {};
+    const remoteRules = remote[siteKey] || {};
+    const ruleKeys = new Set([...Object.keys(localRules), ...Object.keys(remoteRules), ...Object.keys(baseRules)]);
+
+    for (const ruleKey of ruleKeys) {
+      const baseEntry = baseRules[ruleKey];
+      const localEntry = localRules[ruleKey];
+      const remoteEntry = remoteRules[ruleKey];
+
+      let winner;
+      if (sameRule(localEntry, baseEntry)) {
+        winner = remoteEntry;
+      } else if (sameRule(remoteEntry, baseEntry) || sameRule(localEntry, remoteEntry)) {
+        winner = localEntry;
+      } else {
+        // Both devices changed this rule differently: keep the newer change
+        const localTime = localEntry ? localEntry.updatedAt : now;
+        const remoteTime = remoteEntry ? remoteEntry.updatedAt : remoteUpdatedAt;
+        winner = localTime >= remoteTime ? localEntry : remoteEntry;
+
+        const { rule } = localEntry || remoteEntry || baseEntry;
+        conflicts.push({
+          siteKey,
+          label: rule.label || rule.selector || rule.text,
+          kept: winner === localEntry ? "this device" : "another device",
+          deleted: !winner,
+          timestamp: now,
+        });
+      }
+
+      if (winner) {
+        merged[siteKey] = merged[siteKey] || {};
+        merged[siteKey][ruleKey] = winner;
+      }
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Size of an item as chrome.storage.sync counts it against quotas
+ * @param {string} key - Item key
+ * @param {any} value - Item value
+ * @returns {number} Bytes
+ */
+function getSyncItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Splits a JSON string into pieces that each fit in one sync item
+ * @param {string} json - Serialized rules
+ * @returns {string[]} Chunks to store under numbered keys
+ */
+function splitIntoChunks(json) {
+  // Room for the longest chunk key we could plausibly need
+  const limit = chrome.storage.sync.QUOTA_BYTES_PER_ITEM - `${SYNC_CHUNK_PREFIX}9999`.length;
+  const chunks = [];
+  let start = 0;
+
+  while (start < json.length) {
+    let end = Math.min(json.length, start + limit);
+
+    // Escaped quotes and multi-byte characters make a chunk bigger than its length
+    while (getSyncItemBytes("", json.slice(start, end)) > limit) {
+      end = start + Math.floor((end - start) * 0.9);
+    }
+
+    chunks.push(json.slice(start, end));
+    start = end;
+  }
+
+  return chunks;
+}
+
+/**
+ * Reads and reassembles the rules stored in chrome.storage.sync
+ * @returns {Promise<{sites: Object, updatedAt: number}|null>} Versioned rules, or null if nothing is synced yet
+ */
+async function readSyncedRules() {
+  const items = await chrome.storage.sync.get(null);
+  const meta = items[SYNC_META_KEY];
+  if (!meta) return null;
+
+  let json = "";
+  for (let i = 0; i < meta.chunks; i++) {
+    const chunk = items[SYNC_CHUNK_PREFIX + i];
+    if (typeof chunk !== "string") {
+      throw new Error("Synced data is incomplete, will retry");
+    }
+    json += chunk;
+  }
+
+  const sites = JSON.parse(json);
+  if (!sites || typeof sites !== "object" || Array.isArray(sites)) {
+    throw new Error("Synced data is not valid");
+  }
+
+  return { sites, updatedAt: meta.updatedAt || 0 };
+}
+
+/**
+ * Writes versioned rules to chrome.storage.sync in chunks
+ * Only chunks whose content changed are written, to spare the write quota
+ * @param {Object} sites - Versioned rules
+ * @param {number} now - Current time in ms
+ */
+async function writeSyncedRules(sites, now) {
+  const chunks = splitIntoChunks(JSON.stringify(sites));
+  const items = { [SYNC_META_KEY]: { chunks: chunks.length, updatedAt: now } };
+  chunks.forEach((chunk, i) => {
+    items[SYNC_CHUNK_PREFIX + i] = chunk;
+  });
+
+  const totalBytes = Object.entries(items).reduce((sum, [key, value]) => sum + getSyncItemBytes(key, value), 0);
+  if (totalBytes > chrome.storage.sync.QUOTA_BYTES) {
+    const needed = Math.ceil(totalBytes / 1024);
+    const allowed = Math.floor(chrome.storage.sync.QUOTA_BYTES / 1024);
+    throw new Error(`Rules need ${needed} KB but sync allows ${allowed} KB`);
+  }
+  if (Object.keys(items).length > chrome.storage.sync.MAX_ITEMS) {
+    throw new Error("Too many rules to sync");
+  }
+
+  const existing = await chrome.storage.sync.get(null);
+  const changed = {};
+  for (const [key, value] of Object.entries(items)) {
+    if (JSON.stringify(existing[key]) !== JSON.stringify(value)) {
+      changed[key] = value;
+    }
+  }
+  await chrome.storage.sync.set(changed);
+
+  // Leftovers from a time when the rules needed more chunks
+  const stale = Object.keys(existing).filter((key) => key.startsWith(SYNC_CHUNK_PREFIX) && !(key in items));
+  if (stale.length > 0) {
+    await chrome.storage.sync.remove(stale);
+  }
+}
+
+/**
+ * Makes sure the periodic subscription refresh is scheduled
+ * Re-creating an existing alarm would restart its countdown, so check first
+ */
+async function ensureSubscriptionAlarm() {
+  const alarm = await chrome.alarms.get(SUBSCRIPTION_ALARM);
+  if (!alarm) {
+    await chrome.alarms.create(SUBSCRIPTION_ALARM, { periodInMinutes: SUBSCRIPTION_REFRESH_MINUTES });
+  }
+}
+
+/**
+ * Subscribes to a rule list from a URL, or from the text of a local file
+ * Local files are a snapshot and are not refreshed
+ * @param {{url?: string, text?: string, title?: string}} source - Where the list comes from
+ * @returns {Promise<Object>} The new subscription
+ */
+async function addSubscription(source) {
+  let text = source.text;
+  let url = null;
+
+  if (source.url) {
+    url = new URL(source.url).href;
+    if (!/^https?:$/.test(new URL(url).protocol)) {
+      throw new Error("Only http and https URLs can be subscribed to");
+    }
+    text = await fetchSubscriptionText(url);
+  }
+
+  if (typeof text !== "string") {
+    throw new Error("Nothing to subscribe to");
+  }
+
+  const id = `sub-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const { rules, details } = readSubscriptionText(id, text);
+
+  if (details.ruleCount === 0) {
+    throw new Error("No usable rules found in this list");
+  }
+
+  const subscription = {
+    id,
+    title: details.title || source.title || (url ? new URL(url).hostname : "Local file"),
+    url,
+    enabled: true,
+    lastUpdated: Date.now(),
+    lastError: null,
+    ruleCount: details.ruleCount,
+    rejectedCount: details.rejectedCount,
+    unsupportedCount: details.unsupportedCount,
+  };
+
+  const result = await chrome.storage.local.get(["subscriptions", "subscriptionRules"]);
+  const subscriptions = result.subscriptions || [];
+  const subscriptionRules = result.subscriptionRules || {};
+
+  subscriptions.push(subscription);
+  subscriptionRules[id] = rules;
+
+  await chrome.storage.local.set({ subscriptions, subscriptionRules });
+  await ensureSubscriptionAlarm();
+
+  console.log(`[Focus Mode] Subscribed to "${subscription.title}" (${details.ruleCount} rules)`);
+  return subscription;
+}
+
+/**
+ * Re-downloads one subscription, or every enabled one with a URL
+ * A failed download keeps the rules from the last successful one
+ * @param {string} [id] - Subscription to refresh; all when omitted
+ */
+async function refreshSubscriptions(id) {
+  const { subscriptions = [] } = await chrome.storage.local.get(["subscriptions"]);
+  const targets = subscriptions.filter((subscription) => {
+    if (!subscription.url) return false;
+    return id ? subscription.id === id : subscription.enabled !== false;
+  });
+
+  for (const subscription of targets) {
+    let update;
+    let rules = null;
+
+    try {
+      const text = await fetchSubscriptionText(subscription.url);
+      const parsed = readSubscriptionText(subscription.id, text);
+      rules = parsed.rules;
+      update = {
+        lastUpdated: Date.now(),
+        lastError: null,
+        ruleCount: parsed.details.ruleCount,
+        rejectedCount: parsed.details.rejectedCount,
+        unsupportedCount: parsed.details.unsupportedCount,
+      };
+    } catch (error) {
+      console.warn(`[Focus Mode] Could not refresh "${subscription.title}":`, error.message);
+      update = { lastError: error.message };
+    }
+
+    // Re-read so toggles and removals made during the download aren't lost
+    const result = await chrome.storage.local.get(["subscriptions", "subscriptionRules"]);
+    const latest = result.subscriptions || [];
+    const index = latest.findIndex((item) => item.id === subscription.id);
+    if (index === -1) continue;
+
+    latest[index] = { ...latest[index], ...update };
+    const writes = { subscriptions: latest };
+    if (rules) {
+      const subscriptionRules = result.subscriptionRules || {};
+      subscriptionRules[subscription.id] = rules;
+      writes.subscriptionRules = subscriptionRules;
+    }
+    await chrome.storage.local.set(writes);
+  }
+}
+
+/**
+ * Downloads a subscribed list
+ * @param {string} url - List URL
+ * @returns {Promise<string>} The list's text
+ */
+async function fetchSubscriptionText(url) {
+  const response = await fetch(url, { cache: "no-cache", credentials: "omit" });
+  if (!response.ok) {
+    throw new Error(`Download failed (HTTP ${response.status})`);
+  }
+
+  // Refuse oversized lists up front when the server says how big they are
+  if (Number(response.headers.get("Content-Length")) > MAX_SUBSCRIPTION_BYTES) {
+    throw new Error("List is larger than 2 MB");
+  }
+
+  const body = await response.arrayBuffer();
+  if (body.byteLength > MAX_SUBSCRIPTION_BYTES) {
+    throw new Error("List is larger than 2 MB");
+  }
+  return new TextDecoder().decode(body);
+}
+
+/**
+ * Parses a subscribed list: a focus pack ({ title, rules }), a plain
+ * Focus Mode export, or a cosmetic filter list. Rules are validated like
+ * an import and attributed to the subscription through their source field.
+ * @param {string} id - Subscription id
+ * @param {string} text - List contents
+ * @returns {{rules: Object, details: Object}} Rules per site key, plus title and counts
+ */
+function readSubscriptionText(id, text) {
+  const trimmed = text.trim();
+  let data;
+  let title = null;
+  let unsupportedCount = 0;
+
+  if (trimmed.startsWith("{")) {
+    const parsed = JSON.parse(trimmed);
+    const isPack = parsed && typeof parsed.rules === "object" && !Array.isArray(parsed.rules);
+    data = isPack ? parsed.rules : parsed;
+    if (isPack && typeof parsed.title === "string") {
+      title = parsed.title;
+    }
+  } else {
+    const { rules, exceptions, unsupported } = FocusModeShared.parseCosmeticFilters(trimmed);
+    const titleMatch = trimmed.match(/^!\s*Title:\s*(.+)$/m);
+    title = titleMatch ? titleMatch[1].trim() : null;
+    unsupportedCount = unsupported.length;
+
+    // Exceptions within the list cancel its own filters for that site
+    data = {};
+    for (const [siteKey, selectors] of Object.entries(rules)) {
+      const excepted = exceptions[siteKey] || [];
+      data[siteKey] = selectors
+        .filter((selector) => !excepted.includes(selector))
+        .map((selector) => ({ selector, label: selector }));
+    }
+  }
+
+  // Regexes from a remote list could backtrack catastrophically on every page
+  const { rules, rejected } = FocusModeShared.validateRuleData(data, { allowRegex: false });
+  let ruleCount = 0;
+
+  for (const list of Object.values(rules)) {
+    for (const rule of list) {
+      rule.source = id;
+      ruleCount++;
+    }
+  }
+
+  return {
+    rules,
+    details: {
+      title: title ? title.substring(0, 100) : null,
+      ruleCount,
+      rejectedCount: rejected.length,
+      unsupportedCount,
+    },
+  };
+}
+
+/**
+ * Returns the stored values that decide which rules apply on a page
+ * @returns {Promise<Object>} Storage values for FocusModeShared.PAGE_RULE_KEYS
+ */
+async function getPageRuleData() {
+  if (!pageRuleData) {
+    pageRuleData = await chrome.storage.local.get(FocusModeShared.PAGE_RULE_KEYS);
+  }
+  return pageRuleData;
+}
+
+/**
+ * Serializes the early style bookkeeping of one tab
+ * @param {number} tabId - Tab the records belong to
+ * @param {Function} task - Async read-modify-write of the tab's record
+ * @returns {Promise<any>} Result of the task
+ */
+function enqueueEarlyStyles(tabId, task) {
+  if (!earlyStylesQueues.has(tabId)) {
+    earlyStylesQueues.set(tabId, createTaskQueue());
+  }
+  return earlyStylesQueues.get(tabId)(task);
+}
+
+/**
+ * Injects the hiding CSS for a frame that just committed a navigation and
+ * records it, so the content script can have it removed later
+ * Runs on the tab's queue, so a removal request that arrives while the CSS
+ * is still going in waits for the record instead of finding none.
+ * Frames match rules against the top page's URL, like their content script
+ * @param {Object} details - webNavigation.onCommitted details
+ */
+async function injectEarlyStyles(details) {
+  const { tabId, frameId, url } = details;
+  if (!/^https?:/.test(url)) return;
+
+  let pageUrl = url;
+  let frameOrigin = null;
+  if (frameId !== 0) {
+    const top = await chrome.webNavigation.getFrame({ tabId, frameId: 0 });
+    if (!top || !/^https?:/.test(top.url)) return;
+    pageUrl = top.url;
+    frameOrigin = new URL(url).origin;
+  }
+
+  const css = FocusModeShared.buildEarlyStylesheet(await getPageRuleData(), pageUrl, frameOrigin);
+
+  let injected = false;
+  if (css) {
+    try {
+      await chrome.scripting.insertCSS({ target: { tabId, frameIds: [frameId] }, css });
+      injected = true;
+    } catch (error) {
+      // Pages extensions can't script, or a frame that is already gone
+    }
+  }
+
+  const key = `${EARLY_STYLES_PREFIX}${tabId}`;
+  const { [key]: record = {} } = await chrome.storage.session.get(key);
+
+  // The previous document in this frame took its styles with it
+  if (!injected && !record[frameId]) return;
+  if (injected) {
+    record[frameId] = css;
+  } else {
+    delete record[frameId];
+  }
+  await chrome.storage.session.set({ [key]: record });
+}
+
+/**
+ * Removes the early hiding CSS from a frame, if any was injected
+ * Rules may have changed since the page loaded, so leaving it would keep
+ * hiding elements the user has since shown again. Runs on the tab's queue,
+ * behind any injection for the frame that is still in progress
+ * @param {number} tabId - Tab of the frame
+ * @param {number} frameId - Frame within the tab
+ */
+async function removeEarlyStyles(tabId, frameId) {
+  const key = `${EARLY_STYLES_PREFIX}${tabId}`;
+  const { [key]: record = {} } = await chrome.storage.session.get(key);
+  const css = record[frameId];
+  if (!css) return;
+
+  delete record[frameId];
+  await chrome.storage.session.set({ [key]: record });
+
+  // removeCSS only matches CSS injected with exactly the same text
+  await chrome.scripting.removeCSS({ target: { tabId, frameIds: [frameId] }, css }).catch(() => {
+    // The frame navigated away in the meantime
+  });
+}
+
+/**
+ * Registers the right-click entries, grouped under "Focus Mode"
+ * Menu items persist across browser restarts, so this runs on install and update only
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_PARENT,
+      title: "Focus Mode",
+      contexts: ["all"],
+    });
+
+    for (const [id, { title }] of Object.entries(CONTEXT_MENU_COMMANDS)) {
+      chrome.contextMenus.create({
+        id,
+        parentId: CONTEXT_MENU_PARENT,
+        title,
+        contexts: ["all"],
+      });
+    }
+  });
+}
@@ -17,8 +17,23 @@
 
     // Performance tuning
     MUTATION_DEBOUNCE_MS: 500,
-    SELECTOR_APPLY_DELAY_MS: 100,
     PAGE_LOAD_DELAY_MS: 500,
+    SCHEDULE_BOUNDARY_SLACK_MS: 1000,
+    UNDO_TOAST_MS: 6000,
+    HEALTH_CHECK_DELAY_MS: 5000,
+
+    // Rule health: a rule matching more elements than this looks too broad
+    BROAD_MATCH_THRESHOLD: 200,
+
+    // Self-healing: how closely a page element must match a rule's fingerprint
+    FINGERPRINT_MIN_SCORE: 6,
+    FINGERPRINT_TEXT_LENGTH: 80,
+    FINGERPRINT_ANCESTORS: 4,
+    MAX_FINGERPRINT_CANDIDATES: 3000,
+
+    // Shadow hosts that haven't attached their shadow root yet are re-checked
+    SHADOW_RETRY_MS: 1000,
+    MAX_SHADOW_RETRIES: 10,
 
     // Logging limits
     MAX_DETAILED_LOGS: 10,
@@ -26,6 +41,12 @@
     // Error handling
     MAX_OBSERVER_ERRORS: 5,
 
+    // Events single-page apps dispatch after client-side navigation
+    SPA_NAVIGATION_EVENTS: ['yt-navigate-finish', 'turbo:load', 'pjax:end', 'nuxt:page:finish'],
+
+    // Attribute that marks elements matched by keyword rules
+    TEXT_MATCH_ATTRIBUTE: 'data-focus-mode-match',
+
     // Dangerous patterns for selector sanitization
     DANGEROUS_PATTERNS: ['{', '}', ';', '/*', '*/', '@import', '@charset', 'javascript:', '<script']
   };
@@ -63,9 +84,37 @@
   let isSelectionModeActive = false;
   let currentHighlightedElement = null;
   let overlayElement = null;
+  let overlayTargetElement = null;
+
+  // Elements passed through while widening with the keyboard, for narrowing back
+  let narrowStack = [];
+
+  // Pending "hide all like this" preview: { selector, label, elements }
+  let similarPreview = null;
+  // Elements queued with Shift-click, saved together as one batch
+  let pendingBatch = [];
+  let overlayBatchElement = null;
+  // "Hidden X — Undo" line shown in the overlay after each save
+  let undoToastElement = null;
+  let undoToastTimeout = null;
+
+  // Rule being re-picked from the popup: { siteKey, ruleKey, label }
+  let repickRule = null;
   let extensionInvalidated = false;
   let selectionModeController = null;
 
+  // Where rules created in selection mode apply: 'page', 'section' or 'site'
+  let selectionScope = 'site';
+
+  // Element under the last right-click, for the context menu entries
+  let lastContextTarget = null;
+
+  // Embedded frames apply the rules of the top-level page they sit in.
+  // Only the top frame shows the selection overlay; other frames report to
+  // it through the background worker.
+  const isTopFrame = window === window.top;
+  let topPageUrl = null;
+
   // Performance optimization: Cache validated selectors
   const validatedSelectorsCache = new Map();
 
@@ -78,6 +127,42 @@
   let styleElement = null;
   let applyQueue = Promise.resolve();
 
+  // Rules and switches for this page, read once and dropped on any relevant
+  // storage change: { state, rules }
+  let ruleCache = null;
+  let ruleCacheGeneration = 0;
+
+  // The active CSS rules last written, so unchanged rules skip the rewrite
+  let appliedSignature = null;
+
+  // Hiding styles injected into open shadow roots, and the roots observed for changes
+  const shadowStyles = new Map();
+  let observedShadowRoots = new Set();
+  let shadowRetryCount = 0;
+  let shadowRetryTimeout = null;
+  let activeShadowRules = [];
+
+  // Shadow roots given a copy of the selection outlines while picking
+  const selectionStyledRoots = new Set();
+
+  // Compiled keyword rules currently in effect: [{ id, selector, matches }]
+  let activeTextRules = [];
+  let textRulesSignature = null;
+
+  // Collapse placeholders: hidden element -> its placeholder bar
+  const placeholders = new Map();
+  let collapseRules = [];
+
+  // Re-evaluation timer for schedule boundaries and session end
+  let reevaluateTimeout = null;
+
+  // Last URL rules were evaluated for (without #hash), to detect SPA navigation
+  let lastEvaluatedUrl = null;
+
+  // Rule health is measured once per page visit
+  let healthCheckTimeout = null;
+  let lastHealthCheckUrl = null;
+
   // ============================================================================
   // EXTENSION LIFECYCLE MANAGEMENT
   // ============================================================================
@@ -119,6 +204,7 @@
 
     // Clear all timers
     clearTimeout(observerTimeout);
+    clearTimeout(reevaluateTimeout);
 
     // Stop selection mode if active
     if (isSelectionModeActive) {
@@ -127,6 +213,12 @@
 
     // Clear cache to free memory
     validatedSelectorsCache.clear();
+    ruleCache = null;
+    appliedSignature = null;
+    activeTextRules = [];
+    activeShadowRules = [];
+    collapseRules = [];
+    placeholders.clear();
 
     // Clear DOM references
     currentHighlightedElement = null;
@@ -140,6 +232,11 @@
   function initialize() {
     if (!isExtensionValid()) return;
     logger.log('Content script loaded on:', window.location.hostname);
+
+    // The menu click arrives later and carries no element, so remember it now
+    document.addEventListener('contextmenu', (event) => {
+      lastContextTarget = getEventTarget(event);
+    }, { capture: true });
   }
 
   // ============================================================================
@@ -151,23 +248,197 @@
    */
   chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     if (message.action === 'startSelection') {
-      startSelectionMode();
+      startSelectionMode(message.repickRule || null);
       sendResponse({ success: true, action: 'selectionStarted' });
+      return true;
     }
-    return true;
+
+    if (message.action === 'contextMenu') {
+      const handled = handleContextMenu(message.command);
+      sendResponse({ success: handled });
+      return false;
+    }
+
+    // Relayed from another frame of this tab; nothing to answer
+    handleFrameMessage(message);
+    return false;
+  });
+
+  /**
+   * Re-applies rules in place whenever this domain's stored selectors, pause
+   * switches or focus session change, so removals, undos, resets, imports,
+   * toggles and session start/end take effect without a reload. Fires in
+   * every tab, so other open tabs on the same domain stay in sync.
+   */
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (!isExtensionValid()) return;
+
+    // Subscriptions are refreshed rarely, so any change to them re-applies
+    const relevant = didSiteRulesChange(changes.hiddenSelectors) ||
+                     Boolean(changes.subscriptions) ||
+                     Boolean(changes.subscriptionRules) ||
+                     didDomainEntryChange(changes.siteSettings) ||
+                     Boolean(changes.settings) ||
+                     Boolean(changes.focusSession);
+    if (!relevant) return;
+
+    logger.log('Stored rules or settings changed, reapplying...');
+    invalidateRuleCache();
+    applyHiddenSelectors();
   });
 
+  /**
+   * Checks whether a domain-keyed storage change touches the current domain
+   * @param {chrome.storage.StorageChange|undefined} change - The storage change
+   * @returns {boolean} True if this domain's entry differs
+   */
+  function didDomainEntryChange(change) {
+    if (!change) return false;
+
+    const domain = getDomain();
+    if (!domain) return false;
+
+    const oldEntry = (change.oldValue || {})[domain];
+    const newEntry = (change.newValue || {})[domain];
+    return JSON.stringify(oldEntry) !== JSON.stringify(newEntry);
+  }
+
+  /**
+   * Checks whether a hiddenSelectors change touches any site key that
+   * applies here, including wildcard keys such as "*.reddit.com"
+   * @param {chrome.storage.StorageChange|undefined} change - The storage change
+   * @returns {boolean} True if rules for this page may differ
+   */
+  function didSiteRulesChange(change) {
+    if (!change) return false;
+
+    const domain = getDomain();
+    if (!domain) return false;
+
+    const oldValue = change.oldValue || {};
+    const newValue = change.newValue || {};
+    const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+
+    return FocusModeShared.getMatchingSiteKeys(Array.from(keys), domain).some(key => {
+      return JSON.stringify(oldValue[key]) !== JSON.stringify(newValue[key]);
+    });
+  }
+
+  // ============================================================================
+  // FRAMES
+  // ============================================================================
+
+  /**
+   * Asks the background worker for the top-level page this frame is in
+   * Cross-origin frames can't read window.top.location themselves. Should
+   * the worker be unreachable, the top origin from location.ancestorOrigins
+   * still gives the site key, though not the path for page patterns.
+   * @returns {Promise<void>}
+   */
+  async function loadFrameContext() {
+    if (isTopFrame) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getFrameContext' });
+      if (response && response.success && response.topUrl) {
+        topPageUrl = response.topUrl;
+        return;
+      }
+    } catch (error) {
+      logger.debug('Could not get frame context:', error.message);
+    }
+
+    const origins = window.location.ancestorOrigins;
+    if (origins && origins.length > 0) {
+      topPageUrl = `${origins[origins.length - 1]}/`;
+    }
+  }
+
+  /**
+   * Returns the URL of the top-level page, which rules are keyed and scoped by
+   * @returns {string} Page URL ('' in a frame whose top page is unknown)
+   */
+  function getPageUrl() {
+    return isTopFrame ? window.location.href : (topPageUrl || '');
+  }
+
+  /**
+   * Returns the origin rules picked in this frame are limited to
+   * @returns {string|null} The frame's origin, or null in the top frame
+   */
+  function getFrameOrigin() {
+    return isTopFrame ? null : window.origin;
+  }
+
+  /**
+   * Checks whether rules can be picked in this frame
+   * Sandboxed and opaque-origin frames report their origin as "null", which
+   * can't be stored, so picking is refused there
+   * @returns {boolean} True in the top frame and in http(s) frames
+   */
+  function canPickInFrame() {
+    return isTopFrame || FocusModeShared.isValidFrameOrigin(window.origin);
+  }
+
+  /**
+   * Sends a message to the content scripts in this tab's frames, through
+   * the background worker; fire-and-forget
+   * @param {Object} payload - The message
+   * @param {boolean} topOnly - Deliver to the top frame only
+   */
+  function relayToFrames(payload, topOnly = false) {
+    if (!isExtensionValid()) return;
+
+    chrome.runtime.sendMessage({ action: 'relayToFrames', payload, topOnly }).catch(error => {
+      logger.debug('Could not relay to frames:', error.message);
+    });
+  }
+
+  /**
+   * Ends selection mode in this frame and every other frame of the tab
+   */
+  function endSelectionEverywhere() {
+    stopSelectionMode();
+    relayToFrames({ action: 'stopSelection' });
+  }
+
+  /**
+   * Handles messages relayed from other frames of this tab
+   * @param {Object} message - The relayed message
+   */
+  function handleFrameMessage(message) {
+    if (message.action === 'stopSelection') {
+      stopSelectionMode();
+    } else if (message.action === 'selectionScope') {
+      selectionScope = message.scope;
+    } else if (message.action === 'overlayText' && isTopFrame && isSelectionModeActive) {
+      setOverlayTargetText(message.text);
+    } else if (message.action === 'overlayBatch' && isTopFrame && isSelectionModeActive) {
+      setOverlayBatchText(message.text);
+    } else if (message.action === 'showUndoToast' && isTopFrame) {
+      showUndoToast(message.label);
+    } else if (message.action === 'topNavigated' && !isTopFrame) {
+      topPageUrl = message.url;
+      invalidateRuleCache();
+      applyHiddenSelectors();
+    }
+  }
+
   // ============================================================================
   // SELECTION MODE
   // ============================================================================
 
   /**
    * Starts selection mode, allowing user to click elements to hide them
+   * @param {Object|null} repick - Existing rule whose selector the next pick replaces
    */
-  function startSelectionMode() {
-  if (isSelectionModeActive) return;
+  function startSelectionMode(repick = null) {
+  if (isSelectionModeActive || !canPickInFrame()) return;
 
   isSelectionModeActive = true;
+  repickRule = repick;
+  selectionScope = 'site';
   logger.log('Selection mode activated');
 
   // Create AbortController for clean event listener management
@@ -177,8 +448,10 @@
   // Change cursor to crosshair
   document.body.style.cursor = 'crosshair';
 
-  // Create instruction overlay
-  createInstructionOverlay();
+  // Create instruction overlay, once per tab in the top frame
+  if (isTopFrame) {
+    createInstructionOverlay();
+  }
 
   // Add event listeners with AbortSignal for automatic cleanup
   document.addEventListener('mouseover', handleMouseOver, { capture: true, signal });
@@ -222,8 +495,19 @@
     overlayElement = null;
   }
 
+  // Drop any pending "hide all similar" preview and queued batch
+  cancelSimilarPreview();
+  clearBatch();
+
   // Clear highlighted element reference
   currentHighlightedElement = null;
+  overlayTargetElement = null;
+  overlayBatchElement = null;
+  repickRule = null;
+  clearTimeout(undoToastTimeout);
+  undoToastElement = null;
+  narrowStack = [];
+  removeSelectionStyles();
 }
 
   /**
@@ -236,21 +520,77 @@
   // Create header element safely
   const header = document.createElement('div');
   header.className = 'focus-mode-header';
-  header.textContent = '🎯 Selection Mode Active';
+  header.textContent = repickRule
+    ? `🎯 Re-pick: ${repickRule.label || 'rule'}`
+    : '🎯 Selection Mode Active';
 
   // Create instructions element safely
   const instructions = document.createElement('div');
   instructions.className = 'focus-mode-instructions';
   // Use textContent for safety, \n for line breaks
-  instructions.textContent = '• Hover over elements to highlight\n• Click to hide element\n• Press ESC to exit';
+  instructions.textContent = '• Hover over elements to highlight\n• Click or Enter to hide element\n• ↑ widen to parent, ↓ narrow back\n• ← → move between siblings\n• Shift-click or Shift+Enter to queue, S to hide the queue\n• A to preview hiding all similar\n• Press ESC to exit';
   // Apply white-space: pre-line to preserve line breaks
   instructions.style.whiteSpace = 'pre-line';
 
+  // Shows what is currently highlighted, updated as the target changes
+  overlayTargetElement = document.createElement('div');
+  overlayTargetElement.className = 'focus-mode-target';
+  overlayTargetElement.textContent = 'Nothing highlighted';
+
+  // Count of Shift-click queued elements, only shown while the queue is non-empty
+  overlayBatchElement = document.createElement('div');
+  overlayBatchElement.className = 'focus-mode-batch';
+  overlayBatchElement.style.display = 'none';
+
   overlayElement.appendChild(header);
+  overlayElement.appendChild(overlayTargetElement);
+  overlayElement.appendChild(overlayBatchElement);
   overlayElement.appendChild(instructions);
+  overlayElement.appendChild(createScopeChooser());
   document.body.appendChild(overlayElement);
 }
 
+  /**
+   * Creates the "applies to" chooser shown in the instruction overlay
+   * The choice sticks for every element hidden until selection mode ends
+   * @returns {HTMLElement} The chooser element
+   */
+  function createScopeChooser() {
+    const scopes = [
+      { value: 'page', text: 'This page' },
+      { value: 'section', text: 'This section' },
+      { value: 'site', text: 'Whole site' }
+    ];
+
+    const chooser = document.createElement('div');
+    chooser.className = 'focus-mode-scope';
+
+    const caption = document.createElement('span');
+    caption.textContent = 'Applies to:';
+    chooser.appendChild(caption);
+
+    for (const scope of scopes) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = scope.text;
+      button.dataset.scope = scope.value;
+      button.classList.toggle('focus-mode-scope-active', scope.value === selectionScope);
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        selectionScope = scope.value;
+        relayToFrames({ action: 'selectionScope', scope: scope.value });
+        chooser.querySelectorAll('button').forEach(other => {
+          other.classList.toggle('focus-mode-scope-active', other === button);
+        });
+        logger.log('Selection scope:', selectionScope);
+      });
+      chooser.appendChild(button);
+    }
+
+    return chooser;
+  }
+
   /**
    * Handles mouseover events during selection mode
    * @param {MouseEvent} event - The mouseover event
@@ -263,15 +603,104 @@
 
   event.stopPropagation();
 
-  // Remove previous highlight
-  removeHighlight();
-
-  // Highlight current element (use WeakRef to prevent memory leaks)
-  const element = event.target;
-  currentHighlightedElement = element;
-  element.classList.add('focus-mode-highlight');
+  // Pointing somewhere new discards any keyboard widening history
+  narrowStack = [];
+  highlightElement(getEventTarget(event));
 }
 
+  /**
+   * Moves the highlight to an element and describes it in the overlay
+   * @param {HTMLElement} element - The element to highlight
+   */
+  function highlightElement(element) {
+    // Remove previous highlight
+    removeHighlight();
+
+    // Describe before adding our class so it doesn't leak into the label
+    setOverlayTargetText(`${describeElementTag(element)} — ${generateElementLabel(element)}`);
+
+    currentHighlightedElement = element;
+    addSelectionStyles(element);
+    element.classList.add('focus-mode-highlight');
+  }
+
+  /**
+   * Short tag#id.class description of an element for the overlay
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string} Description such as "div#main.card.large"
+   */
+  function describeElementTag(element) {
+    let description = element.tagName.toLowerCase();
+
+    if (element.id) {
+      description += `#${element.id}`;
+    }
+
+    if (element.className && typeof element.className === 'string') {
+      const classes = element.className.split(' ')
+        .filter(c => c.trim() && c !== 'focus-mode-highlight')
+        .slice(0, 2);
+      if (classes.length > 0) {
+        description += `.${classes.join('.')}`;
+      }
+    }
+
+    return description.length > 60 ? `${description.substring(0, 57)}...` : description;
+  }
+
+  /**
+   * Checks whether an element can be highlighted and hidden
+   * @param {Element|null} element - Candidate element
+   * @returns {boolean} True for page elements below <body> that aren't ours
+   */
+  function isPickableElement(element) {
+    return Boolean(element) &&
+           element !== document.body &&
+           element !== document.documentElement &&
+           document.body.contains(getOutermostHost(element)) &&
+           !element.closest('#focus-mode-overlay');
+  }
+
+  /**
+   * Moves the keyboard highlight: widen to the parent, narrow back towards
+   * the child, or step between siblings
+   * @param {'parent'|'child'|'previous'|'next'} direction - Where to move
+   * @returns {boolean} True if the highlight moved
+   */
+  function moveHighlight(direction) {
+    const current = currentHighlightedElement;
+    if (!current) return false;
+
+    let target = null;
+
+    if (direction === 'parent') {
+      target = getComposedParent(current);
+      if (!isPickableElement(target)) return false;
+      narrowStack.push(current);
+    } else if (direction === 'child') {
+      // Retrace the widening path first, otherwise take the first child,
+      // stepping into an open shadow root before the host's light children
+      const firstChild = (current.shadowRoot && current.shadowRoot.firstElementChild) || current.firstElementChild;
+      target = narrowStack.pop() || firstChild;
+      while (target && !isPickableElement(target)) {
+        target = target.nextElementSibling;
+      }
+    } else {
+      const step = direction === 'next' ? 'nextElementSibling' : 'previousElementSibling';
+      target = current[step];
+      while (target && !isPickableElement(target)) {
+        target = target[step];
+      }
+      if (target) narrowStack = [];
+    }
+
+    if (!target) return false;
+
+    highlightElement(target);
+    target.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    return true;
+  }
+
   /**
    * Handles mouseout events during selection mode
    * @param {MouseEvent} event - The mouseout event
@@ -294,60 +723,64 @@
   event.preventDefault();
   event.stopPropagation();
 
-  const element = event.target;
+  // While a similar-items preview is open, only Enter or ESC resolve it
+  if (similarPreview) return;
 
-  try {
-    // Remove the highlight class temporarily to generate clean selector
-    const hadHighlight = element.classList.contains('focus-mode-highlight');
-    if (hadHighlight) {
-      element.classList.remove('focus-mode-highlight');
-    }
+  const target = getEventTarget(event);
 
-    // Generate selector for the element (without highlight class)
-    const selector = generateSelector(element);
+  if (event.shiftKey && !repickRule) {
+    toggleBatchElement(target);
+    return;
+  }
 
-    // Generate human-readable label for the element
-    const label = generateElementLabel(element);
+  await hideElement(target);
+}
 
-    // Restore highlight if needed (though we're about to hide it anyway)
-    if (hadHighlight) {
-      element.classList.add('focus-mode-highlight');
+  /**
+   * Generates a selector for an element, saves it and hides it
+   * Shared by mouse clicks and the Enter key
+   * @param {HTMLElement} element - The element to hide
+   * @returns {Promise<void>}
+   */
+  async function hideElement(element) {
+  try {
+    const { selector, label, fingerprint } = describeElementForRule(element);
+
+    // Re-picking swaps the selector of an existing rule instead of adding one
+    if (selector && repickRule) {
+      await replaceRuleSelector(repickRule, selector, label, fingerprint);
+      endSelectionEverywhere();
+      return;
     }
 
     if (selector) {
       // Hide the element immediately (temporary inline style for instant feedback)
+      const previousDisplay = element.style.display;
       element.style.display = 'none';
 
-      // Save the selector with label
-      const saved = await saveHiddenSelector(selector, label);
+      // Save the selector with label, scoped to the URLs chosen in the overlay
+      const urlPattern = FocusModeShared.createScopePattern(selectionScope, getPageUrl());
+      const saved = await saveHiddenSelector(selector, label, urlPattern, fingerprint);
 
       if (saved) {
         // Notify popup about the hidden element
-        if (isExtensionValid()) {
-          try {
-            chrome.runtime.sendMessage({
-              action: 'elementHidden',
-              selector: selector,
-              label: label,
-              domain: getDomain()
-            });
-          } catch (error) {
-            // Popup might be closed, that's okay
-            logger.debug('Could not notify popup:', error.message);
-          }
-        }
+        notifyElementHidden([selector], label);
 
         // Re-apply all selectors using the robust method (style tag with !important)
-        // This ensures persistence even if page JavaScript tries to show the element
+        // This ensures persistence even if page JavaScript tries to show the element.
+        // Once the stylesheet owns the rule, drop the inline style so a later
+        // undo or removal can reveal the element again without a reload.
         setTimeout(() => {
-          applyHiddenSelectors();
+          applyHiddenSelectors().then(() => {
+            element.style.display = previousDisplay;
+          });
         }, 100);
 
         logger.log('✓ Element hidden:', label, '| Selector:', selector);
       } else {
         logger.warn('✗ Failed to save selector');
         // Restore element visibility on save failure
-        element.style.display = '';
+        element.style.display = previousDisplay;
       }
     } else {
       logger.error('✗ Could not generate selector for element');
@@ -363,521 +796,2322 @@
 }
 
   /**
-   * Handles keyboard events during selection mode (ESC to exit)
-   * @param {KeyboardEvent} event - The keydown event
+   * Generates the selector, label and fingerprint to save for an element
+   * The highlight class is removed temporarily so it can't end up in any of them
+   * @param {HTMLElement} element - The element to describe
+   * @returns {{selector: string|null, label: string, fingerprint: Object}} Rule fields
    */
-  function handleKeyDown(event) {
-  if (!isSelectionModeActive) return;
+  function describeElementForRule(element) {
+    const hadHighlight = element.classList.contains('focus-mode-highlight');
+    if (hadHighlight) {
+      element.classList.remove('focus-mode-highlight');
+    }
 
-  if (event.key === 'Escape') {
-    event.preventDefault();
-    stopSelectionMode();
+    const selector = generateSelector(element);
+    const label = generateElementLabel(element);
+    const fingerprint = createFingerprint(element);
+
+    if (hadHighlight) {
+      element.classList.add('focus-mode-highlight');
+    }
+
+    return { selector, label, fingerprint };
   }
-}
 
   /**
-   * Removes highlight from currently highlighted element
+   * Tells the popup (if open) that rules were saved and offers an undo in
+   * the overlay; the background worker records the step itself
+   * @param {string[]} selectors - The saved selectors
+   * @param {string} label - Human-readable description
    */
-  function removeHighlight() {
-  if (currentHighlightedElement) {
-    // Check if element still exists in DOM before accessing
+  function notifyElementHidden(selectors, label) {
+    if (!isExtensionValid()) return;
+
+    showUndoToast(label);
+
     try {
-      if (document.contains(currentHighlightedElement)) {
-        currentHighlightedElement.classList.remove('focus-mode-highlight');
-      }
+      chrome.runtime.sendMessage({
+        action: 'elementHidden',
+        selectors: selectors,
+        label: label,
+        domain: getDomain()
+      });
     } catch (error) {
-      // Element was removed from DOM, ignore
-      logger.debug('Highlighted element no longer in DOM');
+      // Popup might be closed, that's okay
+      logger.debug('Could not notify popup:', error.message);
     }
-    // Always clear reference to allow garbage collection
-    currentHighlightedElement = null;
   }
-}
-
-  // ============================================================================
-  // SELECTOR GENERATION
-  // ============================================================================
 
   /**
-   * Generates a unique CSS selector for the given element
-   * Tries multiple strategies in order of reliability
-   * @param {HTMLElement} element - The DOM element
-   * @returns {string|null} CSS selector or null if generation fails
+   * Handles keyboard events during selection mode
+   * ESC exits, arrows widen/narrow/cycle the highlight, Enter hides it,
+   * A previews hiding every similar element
+   * @param {KeyboardEvent} event - The keydown event
    */
-  function generateSelector(element) {
-  // Strategy 1: Check for ID
-  if (element.id) {
-    const selector = `#${CSS.escape(element.id)}`;
-    if (isUnique(selector)) return selector;
-  }
+  function handleKeyDown(event) {
+  if (!isSelectionModeActive) return;
 
-  // Strategy 2: Check for data attributes
-  const dataTestId = element.getAttribute('data-testid');
-  if (dataTestId) {
-    const selector = `[data-testid="${dataTestId}"]`;
-    if (isUnique(selector)) return selector;
+  if (similarPreview) {
+    // ESC backs out of the preview, Enter saves it; everything else waits
+    if (event.key === 'Escape' || event.key === 'Enter') {
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        confirmSimilarPreview();
+      } else {
+        cancelSimilarPreview();
+      }
+    }
+    return;
   }
 
-  const dataCy = element.getAttribute('data-cy');
-  if (dataCy) {
-    const selector = `[data-cy="${dataCy}"]`;
-    if (isUnique(selector)) return selector;
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    // First ESC drops the queue, the next one exits
+    if (pendingBatch.length > 0) {
+      clearBatch();
+    } else {
+      endSelectionEverywhere();
+    }
+    return;
   }
 
-  // Strategy 3: Custom element tags (web components)
-  if (element.tagName.includes('-')) {
-    const selector = element.tagName.toLowerCase();
-    if (isUnique(selector)) return selector;
+  if ((event.key === 's' || event.key === 'S') && pendingBatch.length > 0) {
+    event.preventDefault();
+    event.stopPropagation();
+    confirmBatch();
+    return;
   }
 
-  // Strategy 4: Unique class combination
-  if (element.className && typeof element.className === 'string') {
-    const classes = element.className.split(' ').filter(c => c.trim());
-    if (classes.length > 0) {
-      const selector = classes.map(c => `.${CSS.escape(c)}`).join('');
-      if (isUnique(selector)) return selector;
-    }
+  if ((event.key === 'a' || event.key === 'A') && currentHighlightedElement && !repickRule) {
+    event.preventDefault();
+    event.stopPropagation();
+    startSimilarPreview(currentHighlightedElement);
+    return;
   }
 
-  // Strategy 5: Tag with role or aria-label
-  if (element.getAttribute('role')) {
-    const selector = `${element.tagName.toLowerCase()}[role="${element.getAttribute('role')}"]`;
-    if (isUnique(selector)) return selector;
-  }
+  const directions = {
+    ArrowUp: 'parent',
+    ArrowDown: 'child',
+    ArrowLeft: 'previous',
+    ArrowRight: 'next'
+  };
 
-  if (element.getAttribute('aria-label')) {
-    const selector = `${element.tagName.toLowerCase()}[aria-label="${element.getAttribute('aria-label')}"]`;
-    if (isUnique(selector)) return selector;
+  if (directions[event.key]) {
+    // Always swallow arrows so the page doesn't scroll underneath
+    event.preventDefault();
+    event.stopPropagation();
+    moveHighlight(directions[event.key]);
+    return;
   }
 
-  // Strategy 6: Path from root (last resort)
-  return generatePathSelector(element);
-}
-
-  /**
-   * Checks if a CSS selector matches exactly one element
-   * @param {string} selector - The CSS selector to test
-   * @returns {boolean} True if selector is unique
-   */
-  function isUnique(selector) {
-  try {
-    const elements = document.querySelectorAll(selector);
-    return elements.length === 1;
-  } catch (error) {
-    logger.warn('Invalid selector:', selector);
-    return false;
+  if (event.key === 'Enter' && currentHighlightedElement) {
+    event.preventDefault();
+    event.stopPropagation();
+    const element = currentHighlightedElement;
+    if (event.shiftKey && !repickRule) {
+      toggleBatchElement(element);
+      return;
+    }
+    narrowStack = [];
+    hideElement(element);
   }
 }
 
+  // ============================================================================
+  // UNDO TOAST
+  // ============================================================================
+
   /**
-   * Generates a path-based selector from element to body
-   * Used as fallback when other strategies fail
-   * @param {HTMLElement} element - The DOM element
-   * @returns {string} Path-based CSS selector
+   * Shows "Hidden X — Undo" in the overlay for a few seconds
+   * @param {string} label - Description of what was hidden
    */
-  function generatePathSelector(element) {
-  const path = [];
-  let current = element;
+  function showUndoToast(label) {
+    if (!isTopFrame) {
+      relayToFrames({ action: 'showUndoToast', label }, true);
+      return;
+    }
+    if (!overlayElement) return;
 
-  while (current && current !== document.body) {
-    let selector = current.tagName.toLowerCase();
+    hideUndoToast();
 
-    if (current.parentElement) {
-      const siblings = Array.from(current.parentElement.children);
-      const sameTagSiblings = siblings.filter(s => s.tagName === current.tagName);
+    undoToastElement = document.createElement('div');
+    undoToastElement.className = 'focus-mode-undo';
 
-      if (sameTagSiblings.length > 1) {
-        const index = sameTagSiblings.indexOf(current) + 1;
-        selector += `:nth-of-type(${index})`;
-      }
-    }
+    const text = document.createElement('span');
+    text.textContent = `Hidden ${label}`;
 
-    path.unshift(selector);
-    current = current.parentElement;
-  }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Undo';
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      requestUndo();
+    });
 
-  return 'body > ' + path.join(' > ');
-}
+    undoToastElement.appendChild(text);
+    undoToastElement.appendChild(button);
+    overlayElement.appendChild(undoToastElement);
+
+    undoToastTimeout = setTimeout(hideUndoToast, CONFIG.UNDO_TOAST_MS);
+  }
 
   /**
-   * Generates a human-readable label for an element
-   * Helps users understand what they've hidden in storage
+   * Removes the undo toast if it is showing
+   */
+  function hideUndoToast() {
+    clearTimeout(undoToastTimeout);
+    undoToastTimeout = null;
+
+    if (undoToastElement) {
+      undoToastElement.remove();
+      undoToastElement = null;
+    }
+  }
+
+  /**
+   * Asks the background worker to undo the latest step for this site
+   * The page updates through the resulting storage change
+   * @returns {Promise<void>}
+   */
+  async function requestUndo() {
+    hideUndoToast();
+    if (!isExtensionValid()) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'undo', domain: getDomain() });
+      if (response && response.success) {
+        setOverlayTargetText(`Undone: ${response.label}`);
+        logger.log('✓ Undone:', response.label);
+      } else {
+        logger.warn('✗ Nothing to undo');
+      }
+    } catch (error) {
+      logger.error('✗ Error requesting undo:', error);
+      if (error.message && error.message.includes('Extension context invalidated')) {
+        handleInvalidExtension();
+      }
+    }
+  }
+
+  // ============================================================================
+  // BATCH SELECTION
+  // ============================================================================
+
+  /**
+   * Adds an element to the Shift-click queue, or takes it out again
+   * The selector is generated now, while the element is still on the page
+   * @param {HTMLElement} element - The element to queue or unqueue
+   */
+  function toggleBatchElement(element) {
+    const index = pendingBatch.findIndex(item => item.element === element);
+
+    if (index !== -1) {
+      pendingBatch[index].element.classList.remove('focus-mode-pending');
+      pendingBatch.splice(index, 1);
+    } else {
+      const { selector, label, fingerprint } = describeElementForRule(element);
+      if (!selector) {
+        logger.error('✗ Could not generate selector for element');
+        return;
+      }
+      pendingBatch.push({ element, selector, label, fingerprint });
+      addSelectionStyles(element);
+      element.classList.add('focus-mode-pending');
+    }
+
+    updateBatchCount();
+  }
+
+  /**
+   * Empties the queue without saving anything
+   */
+  function clearBatch() {
+    pendingBatch.forEach(item => item.element.classList.remove('focus-mode-pending'));
+    pendingBatch = [];
+    updateBatchCount();
+  }
+
+  /**
+   * Shows how many elements are queued in the overlay
+   */
+  function updateBatchCount() {
+    const count = pendingBatch.length;
+    setOverlayBatchText(count > 0 ? `${count} queued — S to hide ${count === 1 ? 'it' : 'all'}, ESC to clear` : '');
+  }
+
+  /**
+   * Sets the queue line of the overlay, which lives in the top frame
+   * @param {string} text - Queue description, or '' to hide the line
+   */
+  function setOverlayBatchText(text) {
+    if (!isTopFrame) {
+      if (isSelectionModeActive) {
+        relayToFrames({ action: 'overlayBatch', text }, true);
+      }
+      return;
+    }
+    if (!overlayBatchElement) return;
+
+    overlayBatchElement.style.display = text ? '' : 'none';
+    overlayBatchElement.textContent = text;
+  }
+
+  /**
+   * Saves every queued element in a single write, then re-applies once
+   * @returns {Promise<void>}
+   */
+  async function confirmBatch() {
+    if (pendingBatch.length === 0) return;
+
+    const rules = pendingBatch.map(({ selector, label, fingerprint }) => ({ selector, label, fingerprint }));
+    clearBatch();
+
+    const urlPattern = FocusModeShared.createScopePattern(selectionScope, getPageUrl());
+    const saved = await saveHiddenSelectors(rules, urlPattern);
+
+    if (saved.length > 0) {
+      const label = saved.length === 1 ? saved[0].label : `${saved.length} elements`;
+      notifyElementHidden(saved.map(rule => rule.selector), label);
+      await applyHiddenSelectors();
+      logger.log(`✓ Hidden ${saved.length} queued element(s)`);
+    } else {
+      logger.warn('✗ No queued selectors were saved');
+    }
+  }
+
+  // ============================================================================
+  // HIDE ALL SIMILAR
+  // ============================================================================
+
+  /**
+   * Highlights every element matched by a generalized selector for the
+   * given element and waits for Enter (save) or ESC (cancel)
+   * @param {HTMLElement} element - A representative of the repeating items
+   */
+  function startSimilarPreview(element) {
+    const label = generateElementLabel(element);
+    const selector = generateSimilarSelector(element);
+    if (!selector) {
+      setOverlayTargetText('No similar elements found');
+      return;
+    }
+
+    const elements = Array.from(document.querySelectorAll(selector))
+      .filter(match => !match.closest('#focus-mode-overlay'));
+
+    removeHighlight();
+    elements.forEach(match => match.classList.add('focus-mode-similar-preview'));
+    similarPreview = { selector, label, elements };
+
+    setOverlayTargetText(`${elements.length} similar element(s) — Enter to hide all, ESC to cancel`);
+    logger.log(`Previewing ${elements.length} similar element(s):`, selector);
+  }
+
+  /**
+   * Removes the preview highlights without saving anything
+   */
+  function cancelSimilarPreview() {
+    if (!similarPreview) return;
+
+    similarPreview.elements.forEach(match => match.classList.remove('focus-mode-similar-preview'));
+    similarPreview = null;
+    setOverlayTargetText('Nothing highlighted');
+  }
+
+  /**
+   * Saves the previewed generalized selector as a single rule
+   * @returns {Promise<void>}
+   */
+  async function confirmSimilarPreview() {
+    if (!similarPreview) return;
+
+    const { selector, elements } = similarPreview;
+    const label = `All like: ${similarPreview.label}`.substring(0, 100);
+    cancelSimilarPreview();
+
+    const urlPattern = FocusModeShared.createScopePattern(selectionScope, getPageUrl());
+    const saved = await saveHiddenSelector(selector, label, urlPattern);
+
+    if (saved) {
+      notifyElementHidden([selector], label);
+      await applyHiddenSelectors();
+      logger.log(`✓ Hidden ${elements.length} similar element(s) | Selector:`, selector);
+    } else {
+      logger.warn('✗ Failed to save similar-elements selector');
+    }
+  }
+
+  /**
+   * Updates the "currently highlighted" line of the overlay
+   * @param {string} text - Text to show
+   */
+  function setOverlayTargetText(text) {
+    if (!isTopFrame) {
+      if (isSelectionModeActive) {
+        relayToFrames({ action: 'overlayText', text }, true);
+      }
+      return;
+    }
+    if (overlayTargetElement) {
+      overlayTargetElement.textContent = text;
+    }
+  }
+
+  /**
+   * Removes highlight from currently highlighted element
+   */
+  function removeHighlight() {
+  if (currentHighlightedElement) {
+    // Check if element still exists in DOM before accessing
+    try {
+      if (currentHighlightedElement.isConnected) {
+        currentHighlightedElement.classList.remove('focus-mode-highlight');
+      }
+    } catch (error) {
+      // Element was removed from DOM, ignore
+      logger.debug('Highlighted element no longer in DOM');
+    }
+    // Always clear reference to allow garbage collection
+    currentHighlightedElement = null;
+  }
+
+  if (overlayTargetElement && !similarPreview) {
+    overlayTargetElement.textContent = 'Nothing highlighted';
+  }
+}
+
+  // ============================================================================
+  // CONTEXT MENU
+  // ============================================================================
+
+  /**
+   * Runs a context menu entry on the element that was right-clicked
+   * 'hide' saves it straight away; 'similar' and 'parent' open selection
+   * mode so the wider rule can be checked before it is saved
+   * @param {'hide'|'similar'|'parent'} command - The menu entry
+   * @returns {boolean} True if there was an element to act on
+   */
+  function handleContextMenu(command) {
+    const target = lastContextTarget;
+    lastContextTarget = null;
+
+    if (!target || !target.isConnected || !isPickableElement(target) || !canPickInFrame()) {
+      logger.warn('✗ No element under the right-click to hide');
+      return false;
+    }
+
+    if (command === 'hide') {
+      if (!isSelectionModeActive) {
+        selectionScope = 'site';
+      }
+      hideElement(target);
+      return true;
+    }
+
+    startContextSelection();
+
+    if (command === 'similar' && !repickRule) {
+      startSimilarPreview(target);
+      return true;
+    }
+
+    // Start one level up; the arrow keys keep adjusting from there
+    const parent = getComposedParent(target);
+    if (command === 'parent' && isPickableElement(parent)) {
+      narrowStack = [target];
+      highlightElement(parent);
+    } else {
+      highlightElement(target);
+    }
+    return true;
+  }
+
+  /**
+   * Starts selection mode in every frame of the tab, as the popup does,
+   * so the overlay and ESC work wherever the right-click happened
+   */
+  function startContextSelection() {
+    if (isSelectionModeActive) return;
+
+    startSelectionMode();
+    relayToFrames({ action: 'startSelection' });
+  }
+
+  // ============================================================================
+  // SELECTOR GENERATION
+  // ============================================================================
+
+  // Rough cost of each selector step; the cheapest unique selector wins.
+  // Generated tokens and positions break on redeploys and layout shifts,
+  // so they cost far more than anything a developer named on purpose.
+  const SELECTOR_COST = {
+    ID: 0,
+    TEST_ATTRIBUTE: 0,
+    CUSTOM_TAG: 1,
+    CLASS: 1,
+    ARIA_LABEL: 2,
+    ROLE: 2,
+    TAG: 3,
+    ANCHOR: 1,
+    POSITION: 4,
+    HASHED: 8
+  };
+
+  // Ancestors tried as anchors, and candidates kept per ancestor
+  const MAX_ANCHOR_DEPTH = 5;
+  const MAX_ANCHOR_CANDIDATES = 4;
+
+  /**
+   * Generates a unique CSS selector for the given element
+   * Elements inside open shadow roots get a host-chain selector: the host's
+   * own selector, then the element's selector within the host's shadow root.
    * @param {HTMLElement} element - The DOM element
-   * @returns {string} Human-readable description
+   * @returns {string|null} CSS selector or null if generation fails
    */
-  function generateElementLabel(element) {
-    // Strategy 1: Use aria-label if available
+  function generateSelector(element) {
+    const root = element.getRootNode();
+    if (!(root instanceof ShadowRoot)) {
+      return generateLocalSelector(element);
+    }
+
+    const hostSelector = generateSelector(root.host);
+    const innerSelector = generateLocalSelector(element);
+    if (!hostSelector || !innerSelector) return null;
+
+    return FocusModeShared.joinShadowSelector([hostSelector, innerSelector]);
+  }
+
+  /**
+   * Generates a selector unique within the element's own document or shadow root
+   * Every candidate is scored for stability: the element's own id, test
+   * attributes, stable classes or ARIA attributes, then the same scoped
+   * under a stable ancestor, then a short positional path from the nearest
+   * stable ancestor. The cheapest candidate that matches only this element wins.
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string|null} CSS selector or null if generation fails
+   */
+  function generateLocalSelector(element) {
+    const own = getStepCandidates(element);
+    const candidates = [...own];
+
+    // Stable ancestor plus a short suffix, e.g. "#sidebar .promo"
+    let ancestor = element.parentElement;
+    for (let depth = 0; ancestor && ancestor !== document.body && depth < MAX_ANCHOR_DEPTH; depth++) {
+      const anchors = getStepCandidates(ancestor)
+        .filter(anchor => anchor.cost < SELECTOR_COST.TAG)
+        .slice(0, MAX_ANCHOR_CANDIDATES);
+
+      for (const anchor of anchors) {
+        for (const step of own) {
+          candidates.push({
+            selector: `${anchor.selector} ${step.selector}`,
+            cost: anchor.cost + step.cost + SELECTOR_COST.ANCHOR + depth * 0.25
+          });
+        }
+      }
+      ancestor = ancestor.parentElement;
+    }
+
+    const anchoredPath = generateAnchoredPathSelector(element);
+    if (anchoredPath) {
+      candidates.push(anchoredPath);
+    }
+
+    candidates.sort((a, b) => a.cost - b.cost || a.selector.length - b.selector.length);
+
+    const best = candidates.find(candidate => isUniqueMatch(candidate.selector, element));
+    if (best) return best.selector;
+
+    // Path from root (last resort)
+    return generatePathSelector(element);
+  }
+
+  /**
+   * Lists the simple selectors that describe an element on its own,
+   * each with its stability cost; none are checked for uniqueness yet
+   * @param {HTMLElement} element - The DOM element
+   * @returns {{selector: string, cost: number}[]} Candidates, cheapest first
+   */
+  function getStepCandidates(element) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+    const hashCost = (value) => (isHashLikeToken(value) ? SELECTOR_COST.HASHED : 0);
+
+    if (element.id) {
+      candidates.push({ selector: `#${CSS.escape(element.id)}`, cost: SELECTOR_COST.ID + hashCost(element.id) });
+    }
+
+    for (const name of ['data-testid', 'data-cy']) {
+      const value = element.getAttribute(name);
+      if (value) {
+        candidates.push({
+          selector: `[${name}=${quoteAttributeValue(value)}]`,
+          cost: SELECTOR_COST.TEST_ATTRIBUTE + hashCost(value)
+        });
+      }
+    }
+
+    // Custom element tags (web components)
+    if (tag.includes('-')) {
+      candidates.push({ selector: tag, cost: SELECTOR_COST.CUSTOM_TAG });
+    }
+
+    const classes = getElementClasses(element);
+    const stableClasses = classes.filter(c => !isHashLikeToken(c));
+
+    stableClasses.slice(0, 3).forEach(c => {
+      candidates.push({ selector: `${tag}.${CSS.escape(c)}`, cost: SELECTOR_COST.CLASS });
+    });
+    if (stableClasses.length > 1) {
+      candidates.push({
+        selector: tag + stableClasses.slice(0, 2).map(c => `.${CSS.escape(c)}`).join(''),
+        cost: SELECTOR_COST.CLASS * 2
+      });
+    }
+
+    // The full class list, generated tokens included, only when nothing else works
+    if (classes.length > stableClasses.length) {
+      candidates.push({
+        selector: tag + classes.map(c => `.${CSS.escape(c)}`).join(''),
+        cost: SELECTOR_COST.CLASS * classes.length + SELECTOR_COST.HASHED * (classes.length - stableClasses.length)
+      });
+    }
+
     const ariaLabel = element.getAttribute('aria-label');
-    if (ariaLabel && ariaLabel.trim()) {
-      return ariaLabel.trim().substring(0, 100); // Limit length
+    if (ariaLabel && ariaLabel.length <= 100) {
+      candidates.push({ selector: `${tag}[aria-label=${quoteAttributeValue(ariaLabel)}]`, cost: SELECTOR_COST.ARIA_LABEL });
+    }
+
+    const role = element.getAttribute('role');
+    if (role) {
+      candidates.push({ selector: `${tag}[role=${quoteAttributeValue(role)}]`, cost: SELECTOR_COST.ROLE });
+    }
+
+    candidates.push({ selector: tag, cost: SELECTOR_COST.TAG });
+
+    return candidates.sort((a, b) => a.cost - b.cost);
+  }
+
+  /**
+   * Builds a positional path that starts at the nearest ancestor with a
+   * stable unique selector instead of at body, so only a few steps depend
+   * on the layout
+   * @param {HTMLElement} element - The DOM element
+   * @returns {{selector: string, cost: number}|null} Candidate, or null without such an ancestor
+   */
+  function generateAnchoredPathSelector(element) {
+    const steps = [];
+    let positions = 0;
+    let current = element;
+
+    while (current.parentElement && current.parentElement !== document.body && steps.length < MAX_ANCHOR_DEPTH) {
+      const step = getPositionalStep(current);
+      steps.unshift(step);
+      if (step.includes(':nth-of-type(')) positions++;
+
+      current = current.parentElement;
+      const anchor = getStepCandidates(current).find(candidate => {
+        return candidate.cost < SELECTOR_COST.TAG && isUniqueMatch(candidate.selector, current);
+      });
+
+      if (anchor) {
+        return {
+          selector: `${anchor.selector} > ${steps.join(' > ')}`,
+          cost: anchor.cost + SELECTOR_COST.POSITION * positions + steps.length * 0.5
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Describes an element by tag and, among same-tag siblings, its position
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string} Selector step such as "div:nth-of-type(2)"
+   */
+  function getPositionalStep(element) {
+    const tag = element.tagName.toLowerCase();
+    if (!element.parentElement) return tag;
+
+    const sameTagSiblings = Array.from(element.parentElement.children).filter(s => s.tagName === element.tagName);
+    if (sameTagSiblings.length > 1) {
+      return `${tag}:nth-of-type(${sameTagSiblings.indexOf(element) + 1})`;
+    }
+    return tag;
+  }
+
+  /**
+   * Quotes a value for use in an attribute selector
+   * Anything but plain text is written as a CSS hex escape, so quotes,
+   * backslashes, newlines and characters the selector sanitizer rejects
+   * (such as braces or semicolons in an aria-label) can't break the rule
+   * @param {string} value - Raw attribute value
+   * @returns {string} Double-quoted CSS string
+   */
+  function quoteAttributeValue(value) {
+    const escaped = value.replace(/[^\w \-.,!?'()\u00a0-\uffff]/g, ch => `\\${ch.codePointAt(0).toString(16)} `);
+    return `"${escaped}"`;
+  }
+
+  /**
+   * Checks whether a class name or attribute value looks machine-generated,
+   * such as a build hash or CSS-in-JS class, and so may change on any deploy
+   * @param {string} token - Class name or attribute value
+   * @returns {boolean} True if the token is unlikely to survive a redeploy
+   */
+  function isHashLikeToken(token) {
+    if (/^[a-f0-9_-]{15,}$/i.test(token)) return true;
+    if (/^(css|sc|jsx|emotion|svelte)-[a-z0-9]+$/i.test(token)) return true;
+
+    // CSS Modules style suffixes such as "title__3xK9a"
+    const suffix = token.split(/[_-]+/).pop();
+    return suffix.length >= 5 && /\d/.test(suffix) && /[a-z]/i.test(suffix);
+  }
+
+  /**
+   * Generates a selector matching every item that repeats the given element's
+   * structure: its same-tag siblings sharing its classes, anchored on the
+   * parent, or failing that the same tag and classes anywhere on the page
+   * @param {HTMLElement} element - A representative of the repeating items
+   * @returns {string|null} Generalized selector, or null if nothing else is similar
+   */
+  function generateSimilarSelector(element) {
+    // Repeating items inside shadow roots aren't generalized across hosts
+    if (element.getRootNode() !== document) return null;
+
+    const tag = element.tagName.toLowerCase();
+    const ownClasses = getElementClasses(element);
+    const parent = element.parentElement;
+
+    // Classes every same-tag sibling carries, e.g. ".feed-item" but not ".is-sponsored"
+    if (parent && parent !== document.documentElement) {
+      const siblings = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+
+      if (siblings.length > 1) {
+        const shared = ownClasses.filter(c => siblings.every(sibling => sibling.classList.contains(c)));
+        const suffix = tag + shared.map(c => `.${CSS.escape(c)}`).join('');
+        const parentSelector = parent === document.body ? 'body' : generateSelector(parent);
+
+        if (parentSelector) {
+          const selector = `${parentSelector} > ${suffix}`;
+          if (countMatches(selector) > 1) return selector;
+        }
+      }
+    }
+
+    // Items spread over several containers: fall back to tag + classes page-wide
+    if (ownClasses.length > 0) {
+      const selector = tag + ownClasses.map(c => `.${CSS.escape(c)}`).join('');
+      if (countMatches(selector) > 1) return selector;
+    }
+
+    return null;
+  }
+
+  /**
+   * Lists an element's own classes, leaving out the ones Focus Mode adds
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string[]} Class names
+   */
+  function getElementClasses(element) {
+    return Array.from(element.classList).filter(c => !c.startsWith('focus-mode-'));
+  }
+
+  /**
+   * Counts the elements a selector matches, treating invalid selectors as zero
+   * @param {string} selector - The CSS selector to test
+   * @returns {number} Number of matching elements
+   */
+  function countMatches(selector) {
+    try {
+      return document.querySelectorAll(selector).length;
+    } catch (error) {
+      logger.warn('Invalid selector:', selector);
+      return 0;
+    }
+  }
+
+  /**
+   * Checks if a CSS selector matches exactly one element, and that it's the given one
+   * Matching is done within the element's document or shadow root.
+   * @param {string} selector - The CSS selector to test
+   * @param {HTMLElement} element - The element it should match
+   * @returns {boolean} True if selector is unique to the element
+   */
+  function isUniqueMatch(selector, element) {
+    try {
+      const elements = element.getRootNode().querySelectorAll(selector);
+      return elements.length === 1 && elements[0] === element;
+    } catch (error) {
+      logger.warn('Invalid selector:', selector);
+      return false;
+    }
+  }
+
+  /**
+   * Generates a path-based selector from element to body, or to the top
+   * of its shadow root
+   * Used as fallback when other strategies fail
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string} Path-based CSS selector
+   */
+  function generatePathSelector(element) {
+  const path = [];
+  let current = element;
+
+  while (current && current !== document.body) {
+    let selector = current.tagName.toLowerCase();
+
+    if (current.parentElement) {
+      const siblings = Array.from(current.parentElement.children);
+      const sameTagSiblings = siblings.filter(s => s.tagName === current.tagName);
+
+      if (sameTagSiblings.length > 1) {
+        const index = sameTagSiblings.indexOf(current) + 1;
+        selector += `:nth-of-type(${index})`;
+      }
+    }
+
+    path.unshift(selector);
+    current = current.parentElement;
+  }
+
+  return current === document.body ? 'body > ' + path.join(' > ') : path.join(' > ');
+}
+
+  /**
+   * Generates a human-readable label for an element
+   * Helps users understand what they've hidden in storage
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string} Human-readable description
+   */
+  function generateElementLabel(element) {
+    // Strategy 1: Use aria-label if available
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) {
+      return ariaLabel.trim().substring(0, 100); // Limit length
+    }
+
+    // Strategy 2: Use text content if meaningful
+    const textContent = element.textContent?.trim();
+    if (textContent && textContent.length > 0 && textContent.length < 150) {
+      // Clean up whitespace and limit length
+      return textContent.replace(/\s+/g, ' ').substring(0, 100);
+    }
+
+    // Strategy 3: Use alt text for images
+    if (element.tagName === 'IMG') {
+      const alt = element.getAttribute('alt');
+      if (alt && alt.trim()) {
+        return `Image: ${alt.trim().substring(0, 90)}`;
+      }
+      const src = element.getAttribute('src');
+      if (src) {
+        const filename = src.split('/').pop()?.split('?')[0];
+        if (filename) {
+          return `Image: ${filename.substring(0, 90)}`;
+        }
+      }
+      return 'Image';
+    }
+
+    // Strategy 4: Use role attribute
+    const role = element.getAttribute('role');
+    if (role) {
+      return `Element with role: ${role}`;
+    }
+
+    // Strategy 5: Use placeholder for inputs
+    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+      const placeholder = element.getAttribute('placeholder');
+      if (placeholder && placeholder.trim()) {
+        return `${element.tagName.toLowerCase()}: ${placeholder.trim().substring(0, 90)}`;
+      }
+      const type = element.getAttribute('type') || 'text';
+      return `${element.tagName.toLowerCase()} (${type})`;
+    }
+
+    // Strategy 6: Use title attribute
+    const title = element.getAttribute('title');
+    if (title && title.trim()) {
+      return title.trim().substring(0, 100);
+    }
+
+    // Strategy 7: Use ID or class name if somewhat meaningful
+    if (element.id && !isHashLikeToken(element.id)) { // Avoid hash-like IDs
+      return `#${element.id}`;
+    }
+
+    if (element.className && typeof element.className === 'string') {
+      const classes = element.className.split(' ').filter(c => c.trim() && !isHashLikeToken(c));
+      if (classes.length > 0 && classes.length <= 3) {
+        return classes.slice(0, 2).join(', ');
+      }
+    }
+
+    // Strategy 8: Fallback to tag name with context
+    const tag = element.tagName.toLowerCase();
+
+    // Try to get parent context for better description
+    if (element.parentElement) {
+      const parentTag = element.parentElement.tagName.toLowerCase();
+      const parentId = element.parentElement.id;
+      const parentClass = element.parentElement.className;
+
+      if (parentId) {
+        return `<${tag}> in #${parentId}`;
+      } else if (parentClass && typeof parentClass === 'string') {
+        const classes = parentClass.split(' ').filter(c => c.trim());
+        if (classes.length > 0) {
+          return `<${tag}> in .${classes[0]}`;
+        }
+      }
+      return `<${tag}> in <${parentTag}>`;
+    }
+
+    return `<${tag}> element`;
+  }
+
+  // ============================================================================
+  // STORAGE UTILITIES
+  // ============================================================================
+
+  /**
+   * Gets the current domain from the page URL
+   * @returns {string|null} The hostname or null if invalid
+   */
+  function getDomain() {
+  try {
+    const url = new URL(getPageUrl());
+    return url.hostname;
+  } catch (error) {
+    logger.error('Error getting domain:', error);
+    return null;
+  }
+}
+
+  /**
+   * Sanitizes a CSS selector to prevent injection attacks
+   * Uses caching to avoid repeated validation of the same selector
+   * @param {string} selector - The CSS selector to sanitize
+   * @returns {string|null} Sanitized selector or null if dangerous
+   */
+  function sanitizeSelector(selector) {
+    // Check cache first for performance
+    if (validatedSelectorsCache.has(selector)) {
+      return validatedSelectorsCache.get(selector);
+    }
+
+    // Type check
+    if (typeof selector !== 'string' || !selector) {
+      validatedSelectorsCache.set(selector, null);
+      return null;
+    }
+
+    // Length check (reasonable limit)
+    if (selector.length > CONFIG.MAX_SELECTOR_LENGTH) {
+      logger.warn('Selector too long:', selector.length);
+      validatedSelectorsCache.set(selector, null);
+      return null;
+    }
+
+    // Check for CSS injection patterns
+    for (const pattern of CONFIG.DANGEROUS_PATTERNS) {
+      if (selector.includes(pattern)) {
+        logger.warn('Dangerous pattern detected:', pattern);
+        validatedSelectorsCache.set(selector, null);
+        return null;
+      }
+    }
+
+    // Validate it's a valid CSS selector by testing it; host-chain
+    // selectors are tested part by part
+    try {
+      for (const part of FocusModeShared.splitShadowSelector(selector)) {
+        if (!part) throw new Error('Empty part in host-chain selector');
+        // Use querySelector instead of querySelectorAll for better performance
+        document.querySelector(part);
+      }
+      // Cache the valid selector
+      validatedSelectorsCache.set(selector, selector);
+      return selector;
+    } catch (error) {
+      logger.warn('Invalid CSS selector:', selector);
+      validatedSelectorsCache.set(selector, null);
+      return null;
+    }
+  }
+
+  /**
+   * Saves a CSS selector with label to storage for the current domain
+   * @param {string} selector - The CSS selector to save
+   * @param {string} label - Human-readable description of the element
+   * @param {Object|null} urlPattern - Limits the rule to matching URLs (null = whole site)
+   * @param {Object|null} fingerprint - Description of the element, for re-locating it later
+   * @returns {Promise<boolean>} True if saved successfully, false otherwise
+   */
+  async function saveHiddenSelector(selector, label = '', urlPattern = null, fingerprint = null) {
+    const saved = await saveHiddenSelectors([{ selector, label, fingerprint }], urlPattern);
+    return saved.length > 0;
+  }
+
+  /**
+   * Saves several selectors for the current domain in one storage write
+   * @param {{selector: string, label: string, fingerprint?: Object}[]} rules - Selectors with labels
+   * @param {Object|null} urlPattern - Limits the rules to matching URLs (null = whole site)
+   * @returns {Promise<Object[]>} The entries that were saved; existing selectors are skipped
+   */
+  async function saveHiddenSelectors(rules, urlPattern = null) {
+  if (!isExtensionValid()) {
+    logger.warn('Cannot save - extension context invalid');
+    return [];
+  }
+
+  const domain = getDomain();
+  if (!domain) {
+    logger.warn('Cannot save - invalid domain');
+    return [];
+  }
+
+  if (!canPickInFrame()) {
+    logger.warn('Cannot save - frame has no usable origin');
+    return [];
+  }
+
+  try {
+    const result = await chrome.storage.local.get(['hiddenSelectors']);
+    const hiddenSelectors = result.hiddenSelectors || {};
+
+    // Initialize array for this domain if it doesn't exist
+    if (!hiddenSelectors[domain]) {
+      hiddenSelectors[domain] = [];
+    }
+
+    const saved = [];
+    const frameOrigin = getFrameOrigin();
+
+    for (const { selector, label, fingerprint } of rules) {
+      // Skip selectors that already exist, including repeats within this batch
+      const ruleKey = FocusModeShared.getRuleKey({ selector, frameOrigin });
+      const exists = hiddenSelectors[domain].some(item => FocusModeShared.getRuleKey(item) === ruleKey);
+      if (exists) {
+        logger.log('Selector already exists, skipped:', selector);
+        continue;
+      }
+
+      // Create selector entry object
+      const selectorEntry = {
+        selector: selector,
+        label: label || selector,
+        timestamp: Date.now()
+      };
+      if (urlPattern) {
+        selectorEntry.urlPattern = urlPattern;
+      }
+      if (frameOrigin) {
+        selectorEntry.frameOrigin = frameOrigin;
+      }
+      if (fingerprint) {
+        selectorEntry.fingerprint = fingerprint;
+      }
+
+      hiddenSelectors[domain].push(selectorEntry);
+      saved.push(selectorEntry);
+    }
+
+    if (saved.length > 0) {
+      // Save back to storage
+      await chrome.storage.local.set({ hiddenSelectors });
+      invalidateRuleCache();
+      logger.log(`✓ ${saved.length} selector(s) saved successfully for`, domain);
+    }
+
+    return saved;
+  } catch (error) {
+    logger.error('✗ Error saving selector:', error);
+    if (error.message && error.message.includes('Extension context invalidated')) {
+      handleInvalidExtension();
+    }
+    return [];
+  }
+}
+
+  /**
+   * Loads all stored rule entries that apply to the current domain,
+   * merged from the exact hostname and every matching wildcard key, then
+   * from each enabled subscription (whose rules carry a source field)
+   * @returns {Promise<Object[]>} Array of rule entries ({ selector, label, siteKey, ... })
+   */
+  async function loadHiddenSelectors() {
+  if (!isExtensionValid()) {
+    return [];
+  }
+
+  const domain = getDomain();
+  if (!domain) {
+    return [];
+  }
+
+  try {
+    const result = await chrome.storage.local.get(['hiddenSelectors', 'subscriptions', 'subscriptionRules']);
+    return FocusModeShared.collectSiteRules(result, domain);
+  } catch (error) {
+    logger.error('✗ Error loading selectors:', error);
+    if (error.message && error.message.includes('Extension context invalidated')) {
+      handleInvalidExtension();
+    }
+    return [];
+  }
+}
+
+  /**
+   * Loads the switches that decide which rules currently apply on this domain
+   * Paused rules stay in storage; only their injection is skipped
+   * @returns {Promise<Object>} { enabled, sessionActive, sessionEndsAt, sessionOnly, siteSchedule, siteHideStyle }
+   */
+  async function loadHidingState() {
+  const state = {
+    enabled: false,
+    sessionActive: false,
+    sessionEndsAt: null,
+    sessionOnly: false,
+    siteSchedule: null,
+    siteHideStyle: null
+  };
+
+  if (!isExtensionValid()) {
+    return state;
+  }
+
+  const domain = getDomain();
+  if (!domain) {
+    return state;
+  }
+
+  try {
+    const result = await chrome.storage.local.get(['settings', 'siteSettings', 'focusSession']);
+    return FocusModeShared.getHidingState(result, domain);
+  } catch (error) {
+    logger.error('✗ Error loading settings:', error);
+    if (error.message && error.message.includes('Extension context invalidated')) {
+      handleInvalidExtension();
+    }
+    return state;
+  }
+}
+
+  /**
+   * Picks the rules that currently apply on this page and in this frame
+   * @param {Object[]} rules - Stored rule entries for this domain
+   * @param {Object} state - Result of loadHidingState()
+   * @returns {Object[]} Active rule entries
+   */
+  function getActiveRules(rules, state) {
+    return FocusModeShared.getActiveRules(rules, state, getPageUrl(), getFrameOrigin());
+  }
+
+  /**
+   * Maps active rules to what the stylesheet hides and how
+   * Keyword rules hide the containers their matcher has marked
+   * @param {Object[]} activeRules - Result of getActiveRules()
+   * @param {Object} state - Result of loadHidingState()
+   * @returns {Object[]} Array of { selector, hideStyle, label }
+   */
+  function getActiveCssRules(activeRules, state) {
+    const cssRules = new Map();
+
+    for (const item of activeRules) {
+      const selector = item.type === 'text' ? getTextMatchSelector(item.id) : item.selector;
+
+      // The same selector may come from several matching site keys; first one wins
+      if (cssRules.has(selector)) continue;
+
+      cssRules.set(selector, {
+        selector,
+        hideStyle: FocusModeShared.normalizeHideStyle(item.hideStyle) ||
+                   state.siteHideStyle ||
+                   FocusModeShared.DEFAULT_HIDE_STYLE,
+        label: item.label || item.selector
+      });
+    }
+
+    return Array.from(cssRules.values());
+  }
+
+  /**
+   * Schedules a re-apply at the next schedule boundary or session end,
+   * so time-based rules switch on and off while the page stays open
+   * @param {Object[]} rules - Stored rule entries for this domain
+   * @param {Object} state - Result of loadHidingState()
+   */
+  function scheduleReevaluation(rules, state) {
+    clearTimeout(reevaluateTimeout);
+    reevaluateTimeout = null;
+
+    const schedules = rules.map(item => item.schedule);
+    schedules.push(state.siteSchedule);
+
+    const boundaries = [FocusModeShared.getNextScheduleBoundary(schedules)];
+    if (state.sessionEndsAt) {
+      boundaries.push(state.sessionEndsAt);
+    }
+
+    const next = boundaries.filter(Boolean).sort((a, b) => a - b)[0];
+    if (!next) return;
+
+    const delay = next - Date.now() + CONFIG.SCHEDULE_BOUNDARY_SLACK_MS;
+    reevaluateTimeout = setTimeout(() => {
+      if (isExtensionValid()) {
+        logger.log('Schedule boundary reached, reapplying selectors...');
+        // Whether the session is still running was worked out when the cache was filled
+        invalidateRuleCache();
+        applyHiddenSelectors();
+      }
+    }, Math.max(delay, 0));
+  }
+
+  /**
+   * Clears all selectors for the current domain (unused, kept for API compatibility)
+   */
+  function clearDomain() {
+  const domain = getDomain();
+  if (!domain) return;
+
+  chrome.storage.local.get(['hiddenSelectors'], (result) => {
+    const hiddenSelectors = result.hiddenSelectors || {};
+    delete hiddenSelectors[domain];
+
+    chrome.storage.local.set({ hiddenSelectors }, () => {
+      logger.log('Cleared selectors for', domain);
+    });
+  });
+}
+
+  /**
+   * Clears all selectors for all domains (unused, kept for API compatibility)
+   */
+  function clearAll() {
+  chrome.storage.local.set({ hiddenSelectors: {} }, () => {
+    logger.log('Cleared all selectors');
+  });
+}
+
+  // ============================================================================
+  // SELECTOR APPLICATION
+  // ============================================================================
+
+  /**
+   * Returns the stored rules and switches for this page, reading storage
+   * only the first time after a change
+   * @returns {Promise<{state: Object, rules: Object[]}>} Hiding state and rule entries
+   */
+  async function getRuleCache() {
+    if (ruleCache) return ruleCache;
+
+    const generation = ruleCacheGeneration;
+    const [state, rules] = await Promise.all([loadHidingState(), loadHiddenSelectors()]);
+    const loaded = { state, rules };
+
+    // A change that arrived while reading makes this result stale already
+    if (generation === ruleCacheGeneration) {
+      ruleCache = loaded;
+    }
+    return loaded;
+  }
+
+  /**
+   * Drops the cached rules so the next application reads storage again
+   */
+  function invalidateRuleCache() {
+    ruleCache = null;
+    ruleCacheGeneration++;
+  }
+
+  /**
+   * Applies the active rules for this page
+   * Rules come from the in-memory cache, so this is cheap to call on
+   * navigation, schedule boundaries and page load. The stylesheet, shadow
+   * root styles and placeholders are only touched when the set of active
+   * rules changed; the stylesheet hides new matches on its own.
+   * @returns {Promise<void>}
+   */
+  async function applyHiddenSelectors() {
+  if (!isExtensionValid()) return;
+
+  // Queue applications to prevent race conditions
+  applyQueue = applyQueue.then(async () => {
+    try {
+      const { state, rules } = await getRuleCache();
+      const activeRules = getActiveRules(rules, state);
+      const cssRules = getActiveCssRules(activeRules, state);
+
+      scheduleReevaluation(rules, state);
+      updateTextRules(activeRules);
+      scheduleHealthCheck();
+
+      const signature = JSON.stringify(cssRules);
+      if (signature === appliedSignature && (!styleElement || styleElement.isConnected)) {
+        return;
+      }
+      appliedSignature = signature;
+
+      logger.log(`Applying ${cssRules.length} selector(s) on ${getDomain()}`);
+
+      // Build CSS rules with !important; rules inside shadow roots are
+      // injected into those roots instead
+      let css = '';
+      let validCount = 0;
+      const shadowRules = [];
+
+      for (const { selector, hideStyle } of cssRules) {
+        try {
+          // Sanitize selector before use (cached for performance)
+          const sanitized = sanitizeSelector(selector);
+          if (!sanitized) {
+            logger.warn(`✗ Dangerous selector blocked: ${selector}`);
+            continue;
+          }
+
+          // Add to CSS with !important to ensure it overrides everything
+          if (FocusModeShared.isShadowSelector(sanitized)) {
+            shadowRules.push({ selector: sanitized, hideStyle });
+          } else {
+            css += `${FocusModeShared.buildHideRule(sanitized, hideStyle)}\n`;
+          }
+          validCount++;
+
+          // Only count elements for logging (avoid expensive querySelectorAll in production)
+          if (CONFIG.DEBUG_MODE && validCount <= CONFIG.MAX_DETAILED_LOGS) { // Limit logging for performance
+            const elements = queryRuleElements(sanitized);
+            if (elements.length > 0) {
+              logger.log(`✓ Selector "${sanitized}" hiding ${elements.length} element(s)`);
+            } else {
+              logger.log(`⏳ Selector "${sanitized}" - waiting for elements to load`);
+            }
+          }
+        } catch (error) {
+          logger.warn(`✗ Invalid selector: ${selector}`, error);
+        }
+      }
+
+      if (validCount > CONFIG.MAX_DETAILED_LOGS) {
+        logger.log(`✓ Applied ${validCount - CONFIG.MAX_DETAILED_LOGS} additional selector(s)`);
+      }
+
+      logger.log(`Applied ${validCount} CSS rules`);
+
+      writeStylesheet(css);
+
+      activeShadowRules = shadowRules;
+      applyShadowRules(shadowRules);
+
+      // Collapsed rules leave a labelled placeholder bar in the page
+      syncPlaceholders(cssRules);
+    } catch (error) {
+      logger.error('✗ Error applying selectors:', error);
+      // Continue queue even on error
+    }
+  });
+
+    return applyQueue;
+  }
+
+  /**
+   * Writes the page stylesheet, creating it on first use
+   * @param {string} css - Complete stylesheet text
+   */
+  function writeStylesheet(css) {
+    if (styleElement) {
+      if (styleElement.textContent !== css) {
+        styleElement.textContent = css;
+      }
+      guardStyleElement();
+      return;
     }
 
-    // Strategy 2: Use text content if meaningful
-    const textContent = element.textContent?.trim();
-    if (textContent && textContent.length > 0 && textContent.length < 150) {
-      // Clean up whitespace and limit length
-      return textContent.replace(/\s+/g, ' ').substring(0, 100);
+    // Nothing to hide yet; don't add an empty <style> to the page
+    if (!css) return;
+
+    styleElement = document.createElement('style');
+    styleElement.id = 'focus-mode-hidden-elements';
+    styleElement.setAttribute('data-focus-mode', 'true');
+    styleElement.textContent = css;
+
+    // Inject into page (prefer head, fallback to documentElement)
+    const target = document.head || document.documentElement;
+    if (target) {
+      target.appendChild(styleElement);
+      logger.log('✓ Style element injected');
+    } else {
+      logger.error('✗ Could not inject style element');
     }
+  }
 
-    // Strategy 3: Use alt text for images
-    if (element.tagName === 'IMG') {
-      const alt = element.getAttribute('alt');
-      if (alt && alt.trim()) {
-        return `Image: ${alt.trim().substring(0, 90)}`;
+  /**
+   * Puts the stylesheet back if the page removed it, e.g. by replacing <head>
+   */
+  function guardStyleElement() {
+    if (!styleElement || styleElement.isConnected) return;
+
+    const target = document.head || document.documentElement;
+    if (target) {
+      target.appendChild(styleElement);
+      logger.log('✓ Style element restored after the page removed it');
+    }
+  }
+
+  // ============================================================================
+  // RULE HEALTH
+  // ============================================================================
+
+  /**
+   * Queues one health check per page visit, late enough for the page to
+   * have rendered the elements its rules are meant to hide
+   */
+  function scheduleHealthCheck() {
+    // Same-origin frames would each count their own hits and misses into the
+    // shared stats and overwrite each other, so only the top page is measured
+    if (!isTopFrame) return;
+
+    const url = getCurrentUrl();
+    if (url === lastHealthCheckUrl) return;
+    lastHealthCheckUrl = url;
+
+    clearTimeout(healthCheckTimeout);
+    healthCheckTimeout = setTimeout(() => {
+      healthCheckTimeout = null;
+      checkRuleHealth();
+    }, CONFIG.HEALTH_CHECK_DELAY_MS);
+  }
+
+  /**
+   * Records how many elements each active personal rule matches on this
+   * visit, so the popup can flag rules that went stale or hide too much
+   * Rules that stopped matching are repaired from their fingerprint when
+   * the element can still be found. Subscribed rules are left to their
+   * list's maintainers.
+   * @returns {Promise<void>}
+   */
+  async function checkRuleHealth() {
+  if (!isExtensionValid()) return;
+
+  const domain = getDomain();
+  if (!domain) return;
+
+  try {
+    const { state, rules: allRules } = await getRuleCache();
+    const rules = allRules.filter(item => !item.source);
+    const activeRules = getActiveRules(rules, state);
+    if (activeRules.length === 0) return;
+
+    const result = await chrome.storage.local.get(['ruleHealth']);
+    const ruleHealth = result.ruleHealth || {};
+    const now = Date.now();
+    const repairs = [];
+
+    for (const item of activeRules) {
+      const selector = item.type === 'text'
+        ? getTextMatchSelector(item.id)
+        : sanitizeSelector(item.selector);
+      if (!selector) continue;
+
+      let matches;
+      let containerCount;
+      try {
+        matches = queryRuleElements(selector);
+        // A keyword rule that hid nothing only means no container mentioned
+        // the keyword; it is stale once the containers themselves are gone
+        containerCount = item.type === 'text'
+          ? queryRuleElements(sanitizeSelector(item.selector)).length
+          : matches.length;
+      } catch (error) {
+        continue;
       }
-      const src = element.getAttribute('src');
-      if (src) {
-        const filename = src.split('/').pop()?.split('?')[0];
-        if (filename) {
-          return `Image: ${filename.substring(0, 90)}`;
+
+      const ruleKey = FocusModeShared.getRuleKey(item);
+      const siteHealth = ruleHealth[item.siteKey] || (ruleHealth[item.siteKey] = {});
+
+      const health = siteHealth[ruleKey] || { lastMatchedAt: null, zeroMatchVisits: 0 };
+
+      health.lastCheckedAt = now;
+      health.matchCount = matches.length;
+      if (containerCount > 0) {
+        health.lastMatchedAt = now;
+        health.zeroMatchVisits = 0;
+      } else {
+        health.zeroMatchVisits++;
+      }
+      health.tooBroad = findBroadMatch(matches);
+
+      // Usually the site renamed a generated class. Only once the rule has
+      // gone stale, so a page that just hasn't rendered it yet isn't repaired
+      if (health.zeroMatchVisits >= FocusModeShared.STALE_AFTER_VISITS &&
+          item.type !== 'text' && item.fingerprint &&
+          !FocusModeShared.isShadowSelector(item.selector)) {
+        const repair = findRuleRepair(item);
+        if (repair) {
+          repairs.push(repair);
+          delete siteHealth[ruleKey];
+          siteHealth[repair.newRuleKey] = { lastMatchedAt: now, zeroMatchVisits: 0, lastCheckedAt: now, matchCount: 1, tooBroad: null };
+          continue;
         }
       }
-      return 'Image';
+
+      siteHealth[ruleKey] = health;
     }
 
-    // Strategy 4: Use role attribute
-    const role = element.getAttribute('role');
-    if (role) {
-      return `Element with role: ${role}`;
+    if (repairs.length > 0) {
+      await applyRuleRepairs(repairs);
     }
 
-    // Strategy 5: Use placeholder for inputs
-    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-      const placeholder = element.getAttribute('placeholder');
-      if (placeholder && placeholder.trim()) {
-        return `${element.tagName.toLowerCase()}: ${placeholder.trim().substring(0, 90)}`;
+    // Forget rules that have since been removed from the keys checked here
+    for (const siteKey of FocusModeShared.getMatchingSiteKeys(Object.keys(ruleHealth), domain)) {
+      const ruleKeys = new Set(rules
+        .filter(item => item.siteKey === siteKey)
+        .map(item => FocusModeShared.getRuleKey(item)));
+      repairs
+        .filter(repair => repair.siteKey === siteKey)
+        .forEach(repair => ruleKeys.add(repair.newRuleKey));
+      for (const ruleKey of Object.keys(ruleHealth[siteKey])) {
+        if (!ruleKeys.has(ruleKey)) {
+          delete ruleHealth[siteKey][ruleKey];
+        }
+      }
+      if (Object.keys(ruleHealth[siteKey]).length === 0) {
+        delete ruleHealth[siteKey];
       }
-      const type = element.getAttribute('type') || 'text';
-      return `${element.tagName.toLowerCase()} (${type})`;
     }
 
-    // Strategy 6: Use title attribute
-    const title = element.getAttribute('title');
-    if (title && title.trim()) {
-      return title.trim().substring(0, 100);
-    }
+    await chrome.storage.local.set({ ruleHealth });
+    logger.log(`Recorded health for ${activeRules.length} rule(s)`);
+  } catch (error) {
+    logger.error('✗ Error checking rule health:', error);
+  }
+}
 
-    // Strategy 7: Use ID or class name if somewhat meaningful
-    if (element.id && !element.id.match(/^[a-f0-9-]{20,}$/i)) { // Avoid hash-like IDs
-      return `#${element.id}`;
+  /**
+   * Decides whether a rule's matches look like far more than a distraction
+   * @param {Element[]} matches - Elements the rule matched
+   * @returns {string|null} Why the rule looks too broad, or null
+   */
+  function findBroadMatch(matches) {
+    if (matches.length > CONFIG.BROAD_MATCH_THRESHOLD) {
+      return `Matches ${matches.length} elements`;
     }
 
-    if (element.className && typeof element.className === 'string') {
-      const classes = element.className.split(' ').filter(c => c.trim() && !c.match(/^[a-f0-9_-]{15,}$/i));
-      if (classes.length > 0 && classes.length <= 3) {
-        return classes.slice(0, 2).join(', ');
+    const pageSize = document.getElementsByTagName('*').length;
+
+    for (const element of matches) {
+      if (element === document.body || element === document.documentElement) {
+        return 'Matches the whole page';
+      }
+      if (element.tagName === 'MAIN' || element.getAttribute('role') === 'main') {
+        return 'Matches the main content area';
+      }
+      if (element.getElementsByTagName('*').length > pageSize / 2) {
+        return 'Matches a container holding most of the page';
       }
     }
 
-    // Strategy 8: Fallback to tag name with context
-    const tag = element.tagName.toLowerCase();
+    return null;
+  }
 
-    // Try to get parent context for better description
-    if (element.parentElement) {
-      const parentTag = element.parentElement.tagName.toLowerCase();
-      const parentId = element.parentElement.id;
-      const parentClass = element.parentElement.className;
+  /**
+   * Points an existing rule at a newly picked element, keeping its page
+   * pattern, schedule and style; its health history starts over
+   * @param {Object} repick - { siteKey, ruleKey } of the rule to update
+   * @param {string} selector - Selector for the picked element
+   * @param {string} label - Label for the picked element
+   * @param {Object} fingerprint - Fingerprint of the picked element
+   * @returns {Promise<boolean>} True if the rule was updated
+   */
+  async function replaceRuleSelector(repick, selector, label, fingerprint) {
+  if (!isExtensionValid()) return false;
 
-      if (parentId) {
-        return `<${tag}> in #${parentId}`;
-      } else if (parentClass && typeof parentClass === 'string') {
-        const classes = parentClass.split(' ').filter(c => c.trim());
-        if (classes.length > 0) {
-          return `<${tag}> in .${classes[0]}`;
-        }
+  if (!canPickInFrame()) {
+    logger.warn('Cannot re-pick - frame has no usable origin');
+    return false;
+  }
+
+  try {
+    const result = await chrome.storage.local.get(['hiddenSelectors', 'ruleHealth']);
+    const hiddenSelectors = result.hiddenSelectors || {};
+    const ruleHealth = result.ruleHealth || {};
+    const siteRules = hiddenSelectors[repick.siteKey] || [];
+
+    const index = siteRules.findIndex(item => FocusModeShared.getRuleKey(item) === repick.ruleKey);
+    if (index === -1) {
+      logger.warn('✗ Rule to re-pick no longer exists:', repick.ruleKey);
+      return false;
+    }
+
+    // The rule moves to wherever the element was picked: the top page or this frame
+    const updated = { ...siteRules[index], selector, label, fingerprint };
+    const frameOrigin = getFrameOrigin();
+    if (frameOrigin) {
+      updated.frameOrigin = frameOrigin;
+    } else {
+      delete updated.frameOrigin;
+    }
+
+    const newRuleKey = FocusModeShared.getRuleKey(updated);
+    if (siteRules.some((item, i) => i !== index && FocusModeShared.getRuleKey(item) === newRuleKey)) {
+      logger.warn('✗ Another rule already uses this selector:', selector);
+      return false;
+    }
+
+    siteRules[index] = updated;
+    if (ruleHealth[repick.siteKey]) {
+      delete ruleHealth[repick.siteKey][repick.ruleKey];
+    }
+
+    await chrome.storage.local.set({ hiddenSelectors, ruleHealth });
+    invalidateRuleCache();
+    logger.log('✓ Rule re-picked:', repick.ruleKey, '→', selector);
+    return true;
+  } catch (error) {
+    logger.error('✗ Error re-picking rule:', error);
+    return false;
+  }
+}
+
+  /**
+   * Looks for the element a broken rule was made from, using its fingerprint
+   * @param {Object} item - Rule entry whose selector matches nothing
+   * @returns {Object|null} { siteKey, ruleKey, newRuleKey, from, selector, fingerprint } to apply, or null
+   */
+  function findRuleRepair(item) {
+    const element = locateFingerprint(item.fingerprint);
+    if (!element) return null;
+
+    const { selector, fingerprint } = describeElementForRule(element);
+    if (!selector || selector === item.selector || !sanitizeSelector(selector)) return null;
+
+    // The new selector must single out the element, or the repair could hide more than the rule did
+    if (countMatches(selector) !== 1) return null;
+
+    logger.log('✓ Re-located element for broken selector:', item.selector, '→', selector);
+    return {
+      siteKey: item.siteKey,
+      ruleKey: FocusModeShared.getRuleKey(item),
+      newRuleKey: FocusModeShared.getRuleKey({ ...item, selector }),
+      from: item.selector,
+      selector,
+      fingerprint
+    };
+  }
+
+  /**
+   * Writes repaired selectors back to their rules in one storage write
+   * Each rule keeps a short list of its repairs, and the background worker
+   * records the write as an undoable step like any other edit.
+   * @param {Object[]} repairs - Results of findRuleRepair()
+   * @returns {Promise<void>}
+   */
+  async function applyRuleRepairs(repairs) {
+    const result = await chrome.storage.local.get(['hiddenSelectors']);
+    const hiddenSelectors = result.hiddenSelectors || {};
+    let applied = 0;
+
+    for (const repair of repairs) {
+      const siteRules = hiddenSelectors[repair.siteKey] || [];
+      const index = siteRules.findIndex(item => FocusModeShared.getRuleKey(item) === repair.ruleKey);
+
+      // Skip rules edited meanwhile, and selectors another rule already uses
+      if (index === -1 || siteRules.some(item => FocusModeShared.getRuleKey(item) === repair.newRuleKey)) {
+        continue;
       }
-      return `<${tag}> in <${parentTag}>`;
+
+      const rule = siteRules[index];
+      const repairLog = (rule.repairs || []).concat({
+        from: repair.from,
+        to: repair.selector,
+        repairedAt: Date.now()
+      });
+
+      siteRules[index] = {
+        ...rule,
+        selector: repair.selector,
+        fingerprint: repair.fingerprint,
+        repairs: repairLog.slice(-FocusModeShared.MAX_RULE_REPAIRS)
+      };
+      applied++;
     }
 
-    return `<${tag}> element`;
+    if (applied > 0) {
+      await chrome.storage.local.set({ hiddenSelectors });
+      invalidateRuleCache();
+      logger.log(`✓ Repaired ${applied} rule(s)`);
+    }
   }
 
   // ============================================================================
-  // STORAGE UTILITIES
+  // ELEMENT FINGERPRINTS
   // ============================================================================
 
+  // Attributes kept in a fingerprint, weighted by how well they identify an element
+  const FINGERPRINT_WEIGHTS = {
+    'data-testid': 4,
+    'data-cy': 4,
+    'id': 3,
+    'aria-label': 3,
+    'name': 2,
+    'title': 2,
+    'alt': 2,
+    'href': 2,
+    'role': 1,
+    'type': 1
+  };
+
+  // Attributes specific enough to vouch for a candidate; role and type are
+  // shared by too many elements
+  const IDENTIFYING_ATTRIBUTES = ['data-testid', 'data-cy', 'id', 'aria-label', 'name', 'title', 'alt', 'href'];
+
   /**
-   * Gets the current domain from the page URL
-   * @returns {string|null} The hostname or null if invalid
+   * Lists an element's classes that don't look generated
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string[]} Class names
    */
-  function getDomain() {
-  try {
-    const url = new URL(window.location.href);
-    return url.hostname;
-  } catch (error) {
-    logger.error('Error getting domain:', error);
-    return null;
+  function getStableClasses(element) {
+    return getElementClasses(element).filter(c => !isHashLikeToken(c));
   }
-}
 
   /**
-   * Sanitizes a CSS selector to prevent injection attacks
-   * Uses caching to avoid repeated validation of the same selector
-   * @param {string} selector - The CSS selector to sanitize
-   * @returns {string|null} Sanitized selector or null if dangerous
+   * Gets the start of an element's visible text, whitespace collapsed
+   * @param {HTMLElement} element - The DOM element
+   * @returns {string} Text snippet
    */
-  function sanitizeSelector(selector) {
-    // Check cache first for performance
-    if (validatedSelectorsCache.has(selector)) {
-      return validatedSelectorsCache.get(selector);
+  function getTextSnippet(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim().substring(0, CONFIG.FINGERPRINT_TEXT_LENGTH);
+  }
+
+  /**
+   * Describes an ancestor by its tag, stable id and a few stable classes
+   * @param {HTMLElement} element - The ancestor element
+   * @returns {{tag: string, id?: string, classes: string[]}} Ancestor description
+   */
+  function describeAncestor(element) {
+    const ancestor = {
+      tag: element.tagName.toLowerCase(),
+      classes: getStableClasses(element).slice(0, 3)
+    };
+    if (element.id && !isHashLikeToken(element.id)) {
+      ancestor.id = element.id;
     }
+    return ancestor;
+  }
 
-    // Type check
-    if (typeof selector !== 'string' || !selector) {
-      validatedSelectorsCache.set(selector, null);
-      return null;
+  /**
+   * Records what identifies an element apart from its selector, so it can
+   * be found again after the site changes its markup
+   * @param {HTMLElement} element - The DOM element
+   * @returns {Object} { tag, attributes, classes, text, ancestors }
+   */
+  function createFingerprint(element) {
+    const attributes = {};
+    for (const name of Object.keys(FINGERPRINT_WEIGHTS)) {
+      const value = element.getAttribute(name);
+      if (value && value.length <= 200 && !isHashLikeToken(value)) {
+        attributes[name] = value;
+      }
     }
 
-    // Length check (reasonable limit)
-    if (selector.length > CONFIG.MAX_SELECTOR_LENGTH) {
-      logger.warn('Selector too long:', selector.length);
-      validatedSelectorsCache.set(selector, null);
-      return null;
+    const ancestors = [];
+    let parent = element.parentElement;
+    while (parent && parent !== document.body && ancestors.length < CONFIG.FINGERPRINT_ANCESTORS) {
+      ancestors.push(describeAncestor(parent));
+      parent = parent.parentElement;
     }
 
-    // Check for CSS injection patterns
-    for (const pattern of CONFIG.DANGEROUS_PATTERNS) {
-      if (selector.includes(pattern)) {
-        logger.warn('Dangerous pattern detected:', pattern);
-        validatedSelectorsCache.set(selector, null);
-        return null;
+    return {
+      tag: element.tagName.toLowerCase(),
+      attributes,
+      classes: getStableClasses(element).slice(0, 10),
+      text: getTextSnippet(element),
+      ancestors
+    };
+  }
+
+  /**
+   * Scores how well an element matches a fingerprint
+   * @param {HTMLElement} element - Candidate element with the fingerprint's tag
+   * @param {Object} fingerprint - Stored fingerprint
+   * @returns {number} Higher is a closer match
+   */
+  function scoreFingerprintMatch(element, fingerprint) {
+    let score = 0;
+
+    for (const [name, value] of Object.entries(fingerprint.attributes)) {
+      if (element.getAttribute(name) === value) {
+        score += FINGERPRINT_WEIGHTS[name] || 1;
       }
     }
 
-    // Validate it's a valid CSS selector by testing it
-    try {
-      // Use querySelector instead of querySelectorAll for better performance
-      document.querySelector(selector);
-      // Cache the valid selector
-      validatedSelectorsCache.set(selector, selector);
-      return selector;
-    } catch (error) {
-      logger.warn('Invalid CSS selector:', selector);
-      validatedSelectorsCache.set(selector, null);
+    if (fingerprint.classes.length > 0) {
+      const classes = getStableClasses(element);
+      const shared = fingerprint.classes.filter(c => classes.includes(c)).length;
+      score += 2 * shared / Math.max(fingerprint.classes.length, classes.length);
+    }
+
+    score += scoreTextMatch(element, fingerprint);
+
+    // Ancestors are compared level by level, closest first. A bare wrapper
+    // matches nearly everywhere, so only ancestors with an id or classes count
+    let parent = element.parentElement;
+    for (const ancestor of fingerprint.ancestors) {
+      if (!parent) break;
+      if (!ancestor.id && ancestor.classes.length === 0) {
+        parent = parent.parentElement;
+        continue;
+      }
+      const current = describeAncestor(parent);
+      const sameId = ancestor.id ? current.id === ancestor.id : true;
+      const sameClass = ancestor.classes.length === 0 || ancestor.classes.some(c => current.classes.includes(c));
+      if (current.tag === ancestor.tag && sameId && sameClass) {
+        score += 1;
+      }
+      parent = parent.parentElement;
+    }
+
+    return score;
+  }
+
+  /**
+   * Scores how closely an element's text matches the fingerprint's snippet
+   * @param {HTMLElement} element - Candidate element
+   * @param {Object} fingerprint - Stored fingerprint
+   * @returns {number} 3 for the same text, 1 for the same start, else 0
+   */
+  function scoreTextMatch(element, fingerprint) {
+    if (!fingerprint.text) return 0;
+
+    const text = getTextSnippet(element);
+    if (text === fingerprint.text) return 3;
+    if (text && text.substring(0, 30) === fingerprint.text.substring(0, 30)) return 1;
+    return 0;
+  }
+
+  /**
+   * Checks whether an element shares the fingerprint's text or one of its
+   * identifying attributes. Tag, classes and surroundings alone fit too many
+   * elements to pick one by
+   * @param {HTMLElement} element - Candidate element
+   * @param {Object} fingerprint - Stored fingerprint
+   * @returns {boolean} True if the candidate can be accepted
+   */
+  function hasIdentifyingMatch(element, fingerprint) {
+    const sharesAttribute = IDENTIFYING_ATTRIBUTES.some(name =>
+      fingerprint.attributes[name] && element.getAttribute(name) === fingerprint.attributes[name]);
+    return sharesAttribute || scoreTextMatch(element, fingerprint) > 0;
+  }
+
+  /**
+   * Finds the one element on the page that best matches a fingerprint
+   * @param {Object} fingerprint - Stored fingerprint
+   * @returns {HTMLElement|null} The element, or null if nothing matches
+   *   closely enough or several candidates match equally well. Only
+   *   candidates sharing its text or an identifying attribute qualify
+   */
+  function locateFingerprint(fingerprint) {
+    const candidates = Array.from(document.getElementsByTagName(fingerprint.tag))
+      .slice(0, CONFIG.MAX_FINGERPRINT_CANDIDATES);
+
+    let best = null;
+    let bestScore = 0;
+    let runnerUpScore = 0;
+
+    for (const candidate of candidates) {
+      if (isOwnNode(candidate) || !hasIdentifyingMatch(candidate, fingerprint)) continue;
+
+      const score = scoreFingerprintMatch(candidate, fingerprint);
+      if (score > bestScore) {
+        runnerUpScore = bestScore;
+        bestScore = score;
+        best = candidate;
+      } else if (score > runnerUpScore) {
+        runnerUpScore = score;
+      }
+    }
+
+    if (bestScore < CONFIG.FINGERPRINT_MIN_SCORE || bestScore - runnerUpScore < 1) {
       return null;
     }
+    return best;
+  }
+
+  // ============================================================================
+  // KEYWORD RULES
+  // ============================================================================
+
+  /**
+   * Builds the selector that hides containers marked by a keyword rule
+   * @param {string} id - Keyword rule id
+   * @returns {string} Attribute selector
+   */
+  function getTextMatchSelector(id) {
+    return `[${CONFIG.TEXT_MATCH_ATTRIBUTE}~="${id}"]`;
+  }
+
+  /**
+   * Compiles the active keyword rules and re-marks the whole page,
+   * clearing marks left by rules that were removed or switched off
+   * @param {Object[]} activeRules - Result of getActiveRules()
+   */
+  function updateTextRules(activeRules) {
+    const textRules = activeRules.filter(item => item.type === 'text');
+
+    // New content is checked as it arrives; only re-mark the page when the rules change
+    const signature = JSON.stringify(textRules);
+    if (signature === textRulesSignature) return;
+    textRulesSignature = signature;
+
+    const wasWatchingText = activeTextRules.length > 0;
+    activeTextRules = [];
+
+    for (const item of textRules) {
+      if (!FocusModeShared.isValidRuleId(item.id) || !sanitizeSelector(item.selector)) {
+        logger.warn('✗ Invalid keyword rule skipped:', item.label);
+        continue;
+      }
+
+      try {
+        activeTextRules.push({
+          id: item.id,
+          selector: item.selector,
+          matches: FocusModeShared.createTextMatcher(item)
+        });
+      } catch (error) {
+        logger.warn('✗ Invalid keyword condition skipped:', item.label);
+      }
+    }
+
+    // Remove stale marks before re-evaluating
+    const activeIds = new Set(activeTextRules.map(rule => rule.id));
+    document.querySelectorAll(`[${CONFIG.TEXT_MATCH_ATTRIBUTE}]`).forEach(element => {
+      const ids = element.getAttribute(CONFIG.TEXT_MATCH_ATTRIBUTE).split(' ');
+      setTextMatchIds(element, ids.filter(id => activeIds.has(id)));
+    });
+
+    for (const rule of activeTextRules) {
+      document.querySelectorAll(rule.selector).forEach(container => markTextMatch(container, rule));
+    }
+
+    // Start or stop watching text edits as keyword rules come and go
+    if (isObserving && (activeTextRules.length > 0) !== wasWatchingText) {
+      observeDocument();
+    }
+  }
+
+  /**
+   * Marks or unmarks one container for one keyword rule
+   * @param {Element} container - Element matching the rule's container selector
+   * @param {Object} rule - Compiled keyword rule
+   */
+  function markTextMatch(container, rule) {
+    const current = (container.getAttribute(CONFIG.TEXT_MATCH_ATTRIBUTE) || '').split(' ').filter(Boolean);
+    const isMarked = current.includes(rule.id);
+    const matches = rule.matches(container.textContent || '');
+
+    if (matches && !isMarked) {
+      setTextMatchIds(container, [...current, rule.id]);
+    } else if (!matches && isMarked) {
+      setTextMatchIds(container, current.filter(id => id !== rule.id));
+    }
+  }
+
+  /**
+   * Writes the list of matching keyword rule ids onto an element
+   * @param {Element} element - The DOM element
+   * @param {string[]} ids - Rule ids (empty removes the attribute)
+   */
+  function setTextMatchIds(element, ids) {
+    if (ids.length > 0) {
+      element.setAttribute(CONFIG.TEXT_MATCH_ATTRIBUTE, ids.join(' '));
+    } else {
+      element.removeAttribute(CONFIG.TEXT_MATCH_ATTRIBUTE);
+    }
   }
 
   /**
-   * Saves a CSS selector with label to storage for the current domain
-   * @param {string} selector - The CSS selector to save
-   * @param {string} label - Human-readable description of the element
-   * @returns {Promise<boolean>} True if saved successfully, false otherwise
+   * Checks only what the mutations added: new containers, containers inside
+   * new nodes, and existing containers whose text just grew
+   * @param {MutationRecord[]} mutations - Observed mutations
    */
-  async function saveHiddenSelector(selector, label = '') {
-  if (!isExtensionValid()) {
-    logger.warn('Cannot save - extension context invalid');
-    return false;
-  }
+  function checkTextRulesForMutations(mutations) {
+    if (activeTextRules.length === 0) return;
 
-  const domain = getDomain();
-  if (!domain) {
-    logger.warn('Cannot save - invalid domain');
-    return false;
+    for (const rule of activeTextRules) {
+      const containers = collectAddedMatches(mutations, rule.selector, true);
+      collectEditedContainers(mutations, rule.selector).forEach(container => containers.add(container));
+      containers.forEach(container => markTextMatch(container, rule));
+    }
   }
 
-  try {
-    const result = await chrome.storage.local.get(['hiddenSelectors']);
-    const hiddenSelectors = result.hiddenSelectors || {};
+  /**
+   * Finds existing containers whose text changed without a node being
+   * added, e.g. a lazily filled title or a removed child
+   * @param {MutationRecord[]} mutations - Observed mutations
+   * @param {string} selector - Container selector
+   * @returns {Set<Element>} Containers to check again
+   */
+  function collectEditedContainers(mutations, selector) {
+    const containers = new Set();
 
-    // Initialize array for this domain if it doesn't exist
-    if (!hiddenSelectors[domain]) {
-      hiddenSelectors[domain] = [];
+    for (const mutation of mutations) {
+      if (mutation.type !== 'characterData' && mutation.removedNodes.length === 0) continue;
+
+      const target = mutation.target;
+      const element = target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+      if (!element || isOwnNode(element)) continue;
+
+      const container = element.closest(selector);
+      if (container) containers.add(container);
     }
 
-    // Create selector entry object
-    const selectorEntry = {
-      selector: selector,
-      label: label || selector,
-      timestamp: Date.now()
-    };
+    return containers;
+  }
 
-    // Check if selector already exists
-    const exists = hiddenSelectors[domain].some(item => item.selector === selector);
+  // ============================================================================
+  // COLLAPSE PLACEHOLDERS
+  // ============================================================================
 
-    if (!exists) {
-      hiddenSelectors[domain].push(selectorEntry);
+  /**
+   * Makes sure every element hidden by a "collapse" rule has a placeholder
+   * bar in front of it, and removes placeholders whose element is gone or
+   * whose rule no longer applies
+   * @param {Object[]} cssRules - Result of getActiveCssRules()
+   */
+  function syncPlaceholders(cssRules) {
+    // Placeholders are page-level; collapsed elements inside shadow roots are just hidden
+    collapseRules = cssRules.filter(rule => {
+      return rule.hideStyle === 'collapse' &&
+             !FocusModeShared.isShadowSelector(rule.selector) &&
+             sanitizeSelector(rule.selector);
+    });
 
-      // Save back to storage
-      await chrome.storage.local.set({ hiddenSelectors });
-      logger.log('✓ Selector saved successfully for', domain);
-      return true;
+    const wanted = new Map();
+    for (const rule of collapseRules) {
+      document.querySelectorAll(rule.selector).forEach(element => {
+        if (!wanted.has(element)) wanted.set(element, rule.label);
+      });
     }
 
-    logger.log('Selector already exists, skipped');
-    return false;
-  } catch (error) {
-    logger.error('✗ Error saving selector:', error);
-    if (error.message && error.message.includes('Extension context invalidated')) {
-      handleInvalidExtension();
+    for (const [element, placeholder] of placeholders) {
+      if (!wanted.has(element) || !element.isConnected) {
+        removePlaceholder(element, placeholder);
+      }
+    }
+
+    for (const [element, label] of wanted) {
+      addPlaceholder(element, label);
     }
-    return false;
   }
-}
 
   /**
-   * Loads all CSS selectors for the current domain from storage
-   * @returns {Promise<string[]>} Array of CSS selectors
+   * Adds placeholders for collapse-rule matches inside newly added nodes
+   * @param {MutationRecord[]} mutations - Observed mutations
    */
-  async function loadHiddenSelectors() {
-  if (!isExtensionValid()) {
-    return [];
-  }
+  function checkPlaceholdersForMutations(mutations) {
+    if (collapseRules.length === 0) return;
 
-  const domain = getDomain();
-  if (!domain) {
-    return [];
+    for (const rule of collapseRules) {
+      collectAddedMatches(mutations, rule.selector, false)
+        .forEach(element => addPlaceholder(element, rule.label));
+    }
   }
 
-  try {
-    const result = await chrome.storage.local.get(['hiddenSelectors']);
-    const hiddenSelectors = result.hiddenSelectors || {};
-    const selectorsForDomain = hiddenSelectors[domain] || [];
+  /**
+   * Inserts the placeholder bar for one collapsed element
+   * @param {Element} element - The collapsed element
+   * @param {string} label - The rule's label
+   */
+  function addPlaceholder(element, label) {
+    const existing = placeholders.get(element);
+    if (existing && existing.isConnected) return;
+    if (!element.parentNode || element.closest('#focus-mode-overlay')) return;
+
+    // A custom tag keeps the page's :nth-of-type() positions intact
+    const placeholder = document.createElement('focus-mode-placeholder');
+    placeholder.className = 'focus-mode-placeholder';
+    placeholder.setAttribute('role', 'button');
+    placeholder.setAttribute('tabindex', '0');
+
+    const update = () => {
+      const revealed = element.hasAttribute(FocusModeShared.REVEALED_ATTRIBUTE);
+      placeholder.textContent = revealed
+        ? `▾ Showing: ${label} (click to hide)`
+        : `▸ Hidden: ${label} (click to show)`;
+    };
 
-    // Extract just the selector strings from objects
-    return selectorsForDomain.map(item => item.selector);
-  } catch (error) {
-    logger.error('✗ Error loading selectors:', error);
-    if (error.message && error.message.includes('Extension context invalidated')) {
-      handleInvalidExtension();
-    }
-    return [];
+    placeholder.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      element.toggleAttribute(FocusModeShared.REVEALED_ATTRIBUTE);
+      update();
+    });
+
+    update();
+    element.before(placeholder);
+    placeholders.set(element, placeholder);
   }
-}
 
   /**
-   * Clears all selectors for the current domain (unused, kept for API compatibility)
+   * Removes a placeholder and re-hides its element
+   * @param {Element} element - The collapsed element
+   * @param {Element} placeholder - Its placeholder bar
    */
-  function clearDomain() {
-  const domain = getDomain();
-  if (!domain) return;
+  function removePlaceholder(element, placeholder) {
+    placeholder.remove();
+    element.removeAttribute(FocusModeShared.REVEALED_ATTRIBUTE);
+    placeholders.delete(element);
+  }
 
-  chrome.storage.local.get(['hiddenSelectors'], (result) => {
-    const hiddenSelectors = result.hiddenSelectors || {};
-    delete hiddenSelectors[domain];
+  /**
+   * Finds elements matching a selector among, inside or (optionally) around
+   * the nodes added by a batch of mutations
+   * @param {MutationRecord[]} mutations - Observed mutations
+   * @param {string} selector - The CSS selector to match
+   * @param {boolean} includeAncestors - Also match the closest ancestor
+   * @returns {Set<Element>} Matching elements
+   */
+  function collectAddedMatches(mutations, selector, includeAncestors) {
+    const matches = new Set();
+
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!element || isOwnNode(element)) continue;
+
+        if (includeAncestors) {
+          const ancestor = element.closest(selector);
+          if (ancestor) matches.add(ancestor);
+        } else if (node.nodeType === Node.ELEMENT_NODE && element.matches(selector)) {
+          matches.add(element);
+        }
 
-    chrome.storage.local.set({ hiddenSelectors }, () => {
-      logger.log('Cleared selectors for', domain);
-    });
-  });
-}
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          element.querySelectorAll(selector).forEach(match => matches.add(match));
+        }
+      }
+    }
+
+    return matches;
+  }
 
   /**
-   * Clears all selectors for all domains (unused, kept for API compatibility)
+   * Checks whether a node is something Focus Mode inserted
+   * @param {Node} node - The DOM node
+   * @returns {boolean} True for our overlay, style tag and placeholders
    */
-  function clearAll() {
-  chrome.storage.local.set({ hiddenSelectors: {} }, () => {
-    logger.log('Cleared all selectors');
-  });
-}
+  function isOwnNode(node) {
+    return node.nodeType === Node.ELEMENT_NODE && (
+      node.id === 'focus-mode-hidden-elements' ||
+      node.id === 'focus-mode-overlay' ||
+      node.tagName === 'FOCUS-MODE-PLACEHOLDER'
+    );
+  }
 
   // ============================================================================
-  // SELECTOR APPLICATION
+  // SHADOW DOM
   // ============================================================================
 
+  // styles.css doesn't reach into shadow roots, so roots we pick inside get
+  // their own copy of the selection outlines
+  const SHADOW_SELECTION_CSS = [
+    '.focus-mode-highlight { outline: 3px solid #ff0000 !important; outline-offset: 2px !important; background-color: rgba(255, 0, 0, 0.1) !important; cursor: crosshair !important; }',
+    '.focus-mode-pending { outline: 3px solid #7c3aed !important; outline-offset: 2px !important; background-color: rgba(124, 58, 237, 0.12) !important; }'
+  ].join('\n');
+
   /**
-   * Applies hidden selectors by injecting CSS rules into the page
-   * Uses a queue to prevent race conditions from concurrent calls
-   * @returns {Promise<void>}
+   * Gets the element an event really happened on, looking through open
+   * shadow roots (event.target is retargeted to the outermost host)
+   * @param {Event} event - A mouse event
+   * @returns {Element} The innermost element
    */
-  async function applyHiddenSelectors() {
-  if (!isExtensionValid()) return;
+  function getEventTarget(event) {
+    const inner = event.composedPath().find(node => node.nodeType === Node.ELEMENT_NODE);
+    return inner || event.target;
+  }
 
-  // Queue applications to prevent race conditions
-  applyQueue = applyQueue.then(async () => {
-    try {
-      const selectors = await loadHiddenSelectors();
+  /**
+   * Gets an element's parent, stepping out of a shadow root to its host
+   * @param {Element} element - The DOM element
+   * @returns {Element|null} Parent element or shadow host
+   */
+  function getComposedParent(element) {
+    if (element.parentElement) return element.parentElement;
 
-      if (selectors.length === 0) {
-        return;
-      }
+    const root = element.getRootNode();
+    return root instanceof ShadowRoot ? root.host : null;
+  }
 
-      logger.log(`Applying ${selectors.length} selector(s) on ${getDomain()}`);
+  /**
+   * Gets the shadow host an element sits under in the main document
+   * @param {Element} element - The DOM element
+   * @returns {Element} The outermost host, or the element itself outside shadow roots
+   */
+  function getOutermostHost(element) {
+    let current = element;
+    while (current.getRootNode() instanceof ShadowRoot) {
+      current = current.getRootNode().host;
+    }
+    return current;
+  }
 
-      // Disconnect observer to prevent triggering on our own changes
-      if (isObserving) {
-        observer.disconnect();
-        isObserving = false;
-      }
+  /**
+   * Gives the shadow root an element sits in the selection outline styles
+   * @param {Element} element - Element about to be highlighted or queued
+   */
+  function addSelectionStyles(element) {
+    const root = element.getRootNode();
+    if (!(root instanceof ShadowRoot) || selectionStyledRoots.has(root)) return;
+
+    const style = document.createElement('style');
+    style.className = 'focus-mode-selection-styles';
+    style.setAttribute('data-focus-mode', 'true');
+    style.textContent = SHADOW_SELECTION_CSS;
+    root.appendChild(style);
+    selectionStyledRoots.add(root);
+  }
 
-      // Build CSS rules with !important
-      let css = '';
-      let validCount = 0;
+  /**
+   * Takes the selection outline styles out of every shadow root again
+   */
+  function removeSelectionStyles() {
+    for (const root of selectionStyledRoots) {
+      root.querySelectorAll('.focus-mode-selection-styles').forEach(style => style.remove());
+    }
+    selectionStyledRoots.clear();
+  }
 
-      for (const selector of selectors) {
-        try {
-          // Sanitize selector before use (cached for performance)
-          const sanitized = sanitizeSelector(selector);
-          if (!sanitized) {
-            logger.warn(`✗ Dangerous selector blocked: ${selector}`);
-            continue;
-          }
+  /**
+   * Follows the host parts of a host-chain selector down to the open
+   * shadow roots its last part applies in
+   * @param {string[]} hostParts - Every part but the last, outermost first
+   * @returns {{roots: ShadowRoot[], traversed: ShadowRoot[], pendingHosts: number}}
+   *   Target roots, every root passed through on the way, and matched hosts
+   *   that have no shadow root (yet)
+   */
+  function resolveShadowRoots(hostParts) {
+    let roots = [document];
+    const traversed = [];
+    let pendingHosts = 0;
+
+    for (const part of hostParts) {
+      const hosts = roots.flatMap(root => Array.from(root.querySelectorAll(part)));
+      roots = hosts.map(host => host.shadowRoot).filter(Boolean);
+      pendingHosts += hosts.length - roots.length;
+      traversed.push(...roots);
+    }
 
-          // Add to CSS with !important to ensure it overrides everything
-          css += `${sanitized} { display: none !important; }\n`;
-          validCount++;
+    return { roots, traversed, pendingHosts };
+  }
 
-          // Only count elements for logging (avoid expensive querySelectorAll in production)
-          if (validCount <= CONFIG.MAX_DETAILED_LOGS) { // Limit logging for performance
-            const elements = document.querySelectorAll(sanitized);
-            if (elements.length > 0) {
-              logger.log(`✓ Selector "${sanitized}" hiding ${elements.length} element(s)`);
-            } else {
-              logger.log(`⏳ Selector "${sanitized}" - waiting for elements to load`);
-            }
-          }
-        } catch (error) {
-          logger.warn(`✗ Invalid selector: ${selector}`, error);
+  /**
+   * Finds every element a stored selector matches, inside shadow roots too
+   * @param {string} selector - Sanitized selector, plain or host-chain
+   * @returns {Element[]} Matching elements
+   */
+  function queryRuleElements(selector) {
+    const parts = FocusModeShared.splitShadowSelector(selector);
+    const { roots } = resolveShadowRoots(parts.slice(0, -1));
+    const target = parts[parts.length - 1];
+
+    return roots.flatMap(root => Array.from(root.querySelectorAll(target)));
+  }
+
+  /**
+   * Injects the hiding CSS for host-chain rules into each shadow root they
+   * reach, and removes it from roots no longer reached
+   * Roots passed through are observed, so hosts nested in them are found as
+   * they render. Hosts that exist but haven't attached a shadow root yet are
+   * checked again a few times, since custom elements often upgrade late.
+   * @param {{selector: string, hideStyle: string}[]} rules - Sanitized host-chain rules
+   */
+  function applyShadowRules(rules) {
+    const cssByRoot = new Map();
+    const traversedRoots = new Set();
+    let pendingHosts = 0;
+
+    for (const { selector, hideStyle } of rules) {
+      const parts = FocusModeShared.splitShadowSelector(selector);
+      try {
+        const resolved = resolveShadowRoots(parts.slice(0, -1));
+        resolved.traversed.forEach(root => traversedRoots.add(root));
+        pendingHosts += resolved.pendingHosts;
+
+        const css = `${FocusModeShared.buildHideRule(parts[parts.length - 1], hideStyle)}\n`;
+        for (const root of resolved.roots) {
+          cssByRoot.set(root, (cssByRoot.get(root) || '') + css);
         }
+      } catch (error) {
+        logger.warn(`✗ Invalid selector: ${selector}`, error);
       }
+    }
 
-      if (validCount > CONFIG.MAX_DETAILED_LOGS) {
-        logger.log(`✓ Applied ${validCount - CONFIG.MAX_DETAILED_LOGS} additional selector(s)`);
+    for (const [root, style] of shadowStyles) {
+      if (!cssByRoot.has(root)) {
+        style.remove();
+        shadowStyles.delete(root);
       }
+    }
 
-      logger.log(`Applied ${validCount} CSS rules`);
-
-      // If style element exists, just update its content (more efficient)
-      if (styleElement && styleElement.parentNode) {
-        styleElement.textContent = css;
-      } else {
-        // Create new style element
-        styleElement = document.createElement('style');
-        styleElement.id = 'focus-mode-hidden-elements';
-        styleElement.setAttribute('data-focus-mode', 'true');
-        styleElement.textContent = css;
-
-        // Inject into page (prefer head, fallback to documentElement)
-        const target = document.head || document.documentElement;
-        if (target) {
-          target.appendChild(styleElement);
-          logger.log('✓ Style element injected');
-        } else {
-          logger.error('✗ Could not inject style element');
-        }
+    for (const [root, css] of cssByRoot) {
+      let style = shadowStyles.get(root);
+      if (!style || style.parentNode !== root) {
+        style = document.createElement('style');
+        style.id = 'focus-mode-hidden-elements';
+        style.setAttribute('data-focus-mode', 'true');
+        root.appendChild(style);
+        shadowStyles.set(root, style);
+      }
+      if (style.textContent !== css) {
+        style.textContent = css;
       }
+    }
 
-      // Reconnect observer after a short delay (only if we have selectors to watch for)
-      await new Promise(resolve => setTimeout(resolve, CONFIG.SELECTOR_APPLY_DELAY_MS));
-      if (selectors.length > 0) {
-        startObserver();
+    // Mutations inside shadow roots don't reach the document's observer
+    if (isObserving) {
+      for (const root of traversedRoots) {
+        if (!observedShadowRoots.has(root)) {
+          observer.observe(root, getObserverOptions());
+        }
       }
-    } catch (error) {
-      logger.error('✗ Error applying selectors:', error);
-      // Continue queue even on error
     }
-  });
+    observedShadowRoots = traversedRoots;
+    if (cssByRoot.size > 0) {
+      logger.log(`Applied ${rules.length} shadow DOM rule(s) in ${cssByRoot.size} shadow root(s)`);
+    }
 
-    return applyQueue;
+    clearTimeout(shadowRetryTimeout);
+    if (pendingHosts > 0 && shadowRetryCount < CONFIG.MAX_SHADOW_RETRIES) {
+      shadowRetryCount++;
+      shadowRetryTimeout = setTimeout(() => applyShadowRules(activeShadowRules), CONFIG.SHADOW_RETRY_MS);
+    }
   }
 
   // ============================================================================
   // DOM MUTATION OBSERVER
   // ============================================================================
 
+  /**
+   * Builds the observer options: added nodes always, plus text edited in
+   * place while a keyword rule is active. Pages that tick counters or
+   * clocks would otherwise wake the observer for nothing
+   * @returns {MutationObserverInit} Observer options
+   */
+  function getObserverOptions() {
+    return { childList: true, characterData: activeTextRules.length > 0, subtree: true };
+  }
+
   /**
    * MutationObserver callback for detecting DOM changes
-   * Reapplies selectors when new content is added to the page
+   * The stylesheet hides new matches without help, so this only keeps our
+   * <style> in the page and runs the rule types that need JS (keyword rules,
+   * placeholders and shadow roots) against what changed
    */
   const observer = new MutationObserver((mutations) => {
   try {
@@ -888,8 +3122,16 @@
       return;
     }
 
+    // Client-side routers often swap content before any navigation event fires
+    checkForNavigation();
+
+    // Pages that rebuild <head> take our stylesheet with them
+    guardStyleElement();
+
     // Ignore mutations from our own style element
+    // (mutations inside observed shadow roots can target the root itself)
     const isOurChange = mutations.some(mutation => {
+      if (mutation.target.nodeType !== Node.ELEMENT_NODE) return false;
       return mutation.target.id === 'focus-mode-hidden-elements' ||
              mutation.target.closest('#focus-mode-hidden-elements') ||
              mutation.target.id === 'focus-mode-overlay' ||
@@ -900,23 +3142,30 @@
       return; // Don't trigger on our own changes
     }
 
-    // Only trigger if actual nodes were added (not just attribute changes)
-    const hasNodeAdditions = mutations.some(mutation => mutation.addedNodes.length > 0);
-    if (!hasNodeAdditions) {
+    // Only trigger if actual nodes were added (not just attribute changes),
+    // ignoring the placeholder bars we insert ourselves
+    const hasNodeAdditions = mutations.some(mutation => {
+      return Array.from(mutation.addedNodes).some(node => !isOwnNode(node));
+    });
+    // Text edited in place or removed only matters to keyword rules
+    const hasTextEdits = activeTextRules.length > 0 && mutations.some(mutation => {
+      return mutation.type === 'characterData' || mutation.removedNodes.length > 0;
+    });
+    if (!hasNodeAdditions && !hasTextEdits) {
       return; // Ignore if no new nodes added
     }
 
+    // Keyword rules and placeholders need JS; check new nodes right away, not debounced
+    checkTextRulesForMutations(mutations);
+    checkPlaceholdersForMutations(mutations);
+
+    // New hosts may have attached the shadow roots a rule is waiting for
+    if (activeShadowRules.length > 0) {
+      scheduleShadowRefresh();
+    }
+
     // Reset error count on successful execution
     observerErrorCount = 0;
-
-    // Debounce the re-application of selectors
-    clearTimeout(observerTimeout);
-    observerTimeout = setTimeout(() => {
-      if (isExtensionValid()) {
-        logger.log('DOM changed, reapplying selectors...');
-        applyHiddenSelectors();
-      }
-    }, CONFIG.MUTATION_DEBOUNCE_MS);
   } catch (error) {
     logger.error('✗ Observer error:', error);
     observerErrorCount++;
@@ -930,17 +3179,31 @@
     }
   });
 
+  /**
+   * Looks for shadow roots again at most once per debounce window,
+   * however many batches of nodes arrive in between
+   */
+  function scheduleShadowRefresh() {
+    if (observerTimeout) return;
+
+    observerTimeout = setTimeout(() => {
+      observerTimeout = null;
+      if (isExtensionValid()) {
+        applyShadowRules(activeShadowRules);
+      }
+    }, CONFIG.MUTATION_DEBOUNCE_MS);
+  }
+
   /**
    * Starts the MutationObserver to watch for DOM changes
+   * Watches the whole document rather than <body> so a replaced <head>
+   * is noticed too
    */
   function startObserver() {
-  if (isObserving || !document.body) return;
+  if (isObserving || !document.documentElement) return;
 
   try {
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+    observeDocument();
     isObserving = true;
     logger.log('✓ MutationObserver started');
   } catch (error) {
@@ -948,29 +3211,139 @@
     }
   }
 
+  /**
+   * Registers the observer on the document and the shadow roots found so
+   * far. Observing a node again replaces its options without dropping
+   * pending records
+   */
+  function observeDocument() {
+    observer.observe(document.documentElement, getObserverOptions());
+    // Mutations inside shadow roots don't reach the document's observer
+    for (const root of observedShadowRoots) {
+      if (root.host.isConnected) {
+        observer.observe(root, getObserverOptions());
+      }
+    }
+  }
+
+  // ============================================================================
+  // SPA NAVIGATION
+  // ============================================================================
+
+  /**
+   * Returns the current URL without its #hash, which rules never depend on
+   * @returns {string} Normalized page URL
+   */
+  function getCurrentUrl() {
+    return window.location.href.split('#')[0];
+  }
+
+  /**
+   * Re-evaluates rules when the URL changed without a page load
+   * (history.pushState/replaceState, back/forward, site router events).
+   * Safe to call often: it does nothing unless the URL actually differs.
+   */
+  function checkForNavigation() {
+    const url = getCurrentUrl();
+    if (url === lastEvaluatedUrl) return;
+
+    const previousUrl = lastEvaluatedUrl;
+    lastEvaluatedUrl = url;
+    if (previousUrl === null || !isExtensionValid()) return;
+
+    logger.log('Navigation detected:', previousUrl, '→', url);
+
+    // Embedded frames match page patterns against the top page's URL
+    if (isTopFrame) {
+      relayToFrames({ action: 'topNavigated', url: window.location.href });
+    }
+
+    // Drop any debounced work queued for the previous page
+    clearTimeout(observerTimeout);
+    observerTimeout = null;
+    observerErrorCount = 0;
+    shadowRetryCount = 0;
+
+    // The router may have swapped content without adding nodes our
+    // keyword rules saw, so re-mark the page even if the rules are the same
+    textRulesSignature = null;
+
+    applyHiddenSelectors();
+  }
+
+  /**
+   * Listens for client-side navigation
+   * The content script can't patch the page's history.pushState from its
+   * isolated world, so it relies on the Navigation API where available,
+   * popstate, known router events and the MutationObserver as a fallback.
+   */
+  function watchNavigation() {
+    lastEvaluatedUrl = getCurrentUrl();
+
+    if (window.navigation && typeof window.navigation.addEventListener === 'function') {
+      window.navigation.addEventListener('navigatesuccess', checkForNavigation);
+    }
+
+    window.addEventListener('popstate', checkForNavigation);
+
+    for (const eventName of CONFIG.SPA_NAVIGATION_EVENTS) {
+      document.addEventListener(eventName, checkForNavigation);
+    }
+  }
+
   // ============================================================================
   // INITIALIZATION
   // ============================================================================
 
+  /**
+   * Lets the background worker remove the stylesheet it injected when the
+   * page started loading, now that ours is in place and follows rule changes
+   */
+  function releaseEarlyStyles() {
+    if (!isExtensionValid()) return;
+
+    chrome.runtime.sendMessage({ action: 'removeEarlyStyles' }).catch(error => {
+      logger.debug('Could not remove early styles:', error.message);
+    });
+  }
+
   /**
    * Apply hidden selectors when page loads
+   * @returns {Promise<void>}
    */
-  function initializeAutoHide() {
+  async function initializeAutoHide() {
     if (!isExtensionValid()) return;
 
     logger.log('Initializing auto-hide...');
 
+    // Frames need the top page's URL before any rule can be matched
+    await loadFrameContext();
+
+    watchNavigation();
+
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', async () => {
         if (isExtensionValid()) {
           await applyHiddenSelectors();
+          releaseEarlyStyles();
           startObserver();
         }
       });
     } else {
-      applyHiddenSelectors().then(() => startObserver());
+      applyHiddenSelectors().then(() => {
+        releaseEarlyStyles();
+        startObserver();
+      });
     }
 
+    // A page restored from the back/forward cache keeps this script running,
+    // but the worker injects its early styles into it again
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) {
+        releaseEarlyStyles();
+      }
+    });
+
     // Also try to apply on full page load as a safety measure for dynamic sites
     window.addEventListener('load', () => {
       if (isExtensionValid()) {
@@ -4,13 +4,19 @@
 let currentTab = null;
 let currentDomain = null;
 let isListVisible = false;
-let undoStack = [];
+let ruleHistory = { undo: [], redo: [] };
+let sessionTimer = null;
+let editingKeywordRule = null;
+let pendingImport = null;
 
 // Initialize popup
 document.addEventListener("DOMContentLoaded", async () => {
   await initializePopup();
   setupEventListeners();
-  loadUndoStack();
+  loadHistory();
+  updateSessionState();
+  updateSyncState();
+  renderSubscriptions();
 });
 
 async function initializePopup() {
@@ -75,6 +81,10 @@ function disableUI() {
   document.getElementById("viewListBtn").disabled = true;
   document.getElementById("resetSiteBtn").disabled = true;
   document.getElementById("undoBtn").disabled = true;
+  document.getElementById("redoBtn").disabled = true;
+  document.getElementById("siteToggle").disabled = true;
+  document.getElementById("editSiteScheduleBtn").disabled = true;
+  document.getElementById("siteHideStyle").disabled = true;
 }
 
 function setupEventListeners() {
@@ -84,56 +94,106 @@ function setupEventListeners() {
   // Start Selection Mode
   document
     .getElementById("startSelectionBtn")
-    .addEventListener("click", async () => {
-      if (!currentTab) {
-        showToast("No active tab found", "error");
-        return;
-      }
+    .addEventListener("click", () => {
+      startSelection(null);
+    });
 
-      if (!isValidTab(currentTab)) {
-        showToast("Cannot use on this page", "warning");
-        return;
-      }
+  // Global master switch
+  document.getElementById("globalToggle").addEventListener("change", (event) => {
+    setGlobalEnabled(event.target.checked);
+  });
 
-      try {
-        // Send message to content script
-        const response = await chrome.tabs.sendMessage(currentTab.id, {
-          action: "startSelection",
-          timestamp: Date.now(),
-        });
+  // Per-site pause switch
+  document.getElementById("siteToggle").addEventListener("change", (event) => {
+    setSitePaused(!event.target.checked);
+  });
 
-        if (response && response.success) {
-          console.log("Selection mode started");
-          // Close popup so user can interact with page
-          window.close();
-        }
-      } catch (error) {
-        console.error("Error starting selection mode:", error);
-
-        // Check if it's a connection error
-        if (error.message.includes("Could not establish connection")) {
-          showToast("Please reload the page first", "warning");
-        } else if (error.message.includes("context invalidated")) {
-          showToast("Extension reloaded - refresh page", "warning");
-        } else {
-          showToast("Error activating selection mode", "error");
-        }
-      }
+  // Focus session presets
+  document.querySelectorAll("[data-session-minutes]").forEach((button) => {
+    button.addEventListener("click", () => {
+      startFocusSession(Number(button.dataset.sessionMinutes));
     });
+  });
+
+  document.getElementById("stopSessionBtn").addEventListener("click", () => {
+    stopFocusSession();
+  });
+
+  // Only enforce rules while a session runs
+  document.getElementById("sessionOnlyToggle").addEventListener("change", (event) => {
+    setSessionOnly(event.target.checked);
+  });
+
+  // Cross-device sync (off unless the user opts in)
+  document.getElementById("syncToggle").addEventListener("change", (event) => {
+    setSyncEnabled(event.target.checked);
+  });
+
+  document.getElementById("syncStatus").addEventListener("click", () => {
+    showSyncConflicts();
+  });
+
+  // Site-wide hide style
+  const siteHideStyle = document.getElementById("siteHideStyle");
+  fillHideStyleOptions(siteHideStyle, false);
+  siteHideStyle.addEventListener("change", (event) => {
+    setSiteHideStyle(event.target.value);
+  });
+
+  // Site-wide schedule
+  document.getElementById("editSiteScheduleBtn").addEventListener("click", () => {
+    editSiteSchedule();
+  });
+
+  // Keyword rules
+  document.getElementById("addKeywordRuleBtn").addEventListener("click", () => {
+    openKeywordForm(null);
+  });
+
+  document.getElementById("keywordSaveBtn").addEventListener("click", () => {
+    saveKeywordRule();
+  });
+
+  document.getElementById("keywordCancelBtn").addEventListener("click", () => {
+    closeKeywordForm();
+  });
+
+  // Subscriptions
+  document.getElementById("addSubscriptionUrlBtn").addEventListener("click", () => {
+    document.getElementById("subscriptionForm").style.display = "flex";
+    document.getElementById("subscriptionUrl").focus();
+  });
+
+  document.getElementById("subscriptionSaveBtn").addEventListener("click", () => {
+    subscribeToUrl();
+  });
+
+  document.getElementById("subscriptionCancelBtn").addEventListener("click", () => {
+    closeSubscriptionForm();
+  });
+
+  document.getElementById("addSubscriptionFileBtn").addEventListener("click", () => {
+    subscribeToFile();
+  });
 
   // View List (toggle)
   document.getElementById("viewListBtn").addEventListener("click", () => {
     toggleSelectorsList();
   });
 
-  // Undo Last Hide
+  // Undo / Redo
   document.getElementById("undoBtn").addEventListener("click", () => {
-    undoLastHide();
+    stepHistory("undo");
+  });
+
+  document.getElementById("redoBtn").addEventListener("click", () => {
+    stepHistory("redo");
   });
 
   // Reset Site
   document.getElementById("resetSiteBtn").addEventListener("click", () => {
-    if (confirm(`Reset all hidden elements for ${currentDomain}?`)) {
+    const wildcardNote = "\n\nRules shared with other subdomains (🌐) are kept.";
+    if (confirm(`Reset all hidden elements for ${currentDomain}?${wildcardNote}`)) {
       resetCurrentSite();
     }
   });
@@ -148,11 +208,31 @@ function setupEventListeners() {
     importSettings();
   });
 
+  // Import preview
+  document.getElementById("importApplyBtn").addEventListener("click", () => {
+    applyPendingImport();
+  });
+
+  document.getElementById("importCancelBtn").addEventListener("click", () => {
+    closeImportDialog();
+  });
+
+  document.querySelectorAll("input[name='importStrategy']").forEach((radio) => {
+    radio.addEventListener("change", () => {
+      updateImportSummary();
+    });
+  });
+
+  // Export as adblock cosmetic filters
+  document.getElementById("exportFiltersBtn").addEventListener("click", () => {
+    exportFilterList();
+  });
+
   // Clear All
   document.getElementById("clearAllBtn").addEventListener("click", () => {
     if (
       confirm(
-        "Clear all hidden elements for ALL websites?\n\nThis cannot be undone."
+        "Clear all hidden elements for ALL websites?\n\nUndo brings the rules back, but not pause, schedule or hide style settings."
       )
     ) {
       if (
@@ -166,18 +246,784 @@ function setupEventListeners() {
   });
 }
 
-function updateHiddenCount() {
-  if (!currentDomain) {
-    document.getElementById("hiddenCount").textContent = "0";
+function updateHiddenCount() {
+  updatePauseState();
+
+  if (!currentDomain) {
+    document.getElementById("hiddenCount").textContent = "0";
+    return;
+  }
+
+  chrome.storage.local.get(["hiddenSelectors", "subscriptions", "subscriptionRules"], (result) => {
+    const hiddenSelectors = result.hiddenSelectors || {};
+    document.getElementById("hiddenCount").textContent =
+      getRulesForSite(hiddenSelectors).length +
+      getSubscribedRulesForSite(result.subscriptions, result.subscriptionRules).length;
+  });
+}
+
+// Rules that apply to the current site, from its exact hostname and any
+// matching wildcard key, each tagged with the key it is stored under
+function getRulesForSite(hiddenSelectors) {
+  if (!currentDomain) return [];
+
+  const siteKeys = FocusModeShared.getMatchingSiteKeys(Object.keys(hiddenSelectors), currentDomain);
+  return siteKeys.flatMap((siteKey) =>
+    (hiddenSelectors[siteKey] || []).map((item) => ({ ...item, siteKey }))
+  );
+}
+
+// Rules from enabled subscriptions that apply to the current site, tagged
+// with the subscription's title; they are managed per subscription, not here
+function getSubscribedRulesForSite(subscriptions, subscriptionRules) {
+  if (!currentDomain) return [];
+
+  return (subscriptions || [])
+    .filter((subscription) => subscription.enabled !== false)
+    .flatMap((subscription) => {
+      const ruleSet = (subscriptionRules || {})[subscription.id] || {};
+      const siteKeys = FocusModeShared.getMatchingSiteKeys(Object.keys(ruleSet), currentDomain);
+      return siteKeys.flatMap((siteKey) =>
+        ruleSet[siteKey].map((item) => ({ ...item, siteKey, subscriptionTitle: subscription.title }))
+      );
+    });
+}
+
+// Reflect the global and per-site switches in the popup
+function updatePauseState() {
+  chrome.storage.local.get(["settings", "siteSettings", "focusSession"], (result) => {
+    const settings = result.settings || {};
+    const siteSettings = result.siteSettings || {};
+    const globalEnabled = settings.enabled !== false;
+    const sitePaused = Boolean(
+      currentDomain && siteSettings[currentDomain] && siteSettings[currentDomain].paused
+    );
+    const waitingForSession =
+      settings.sessionOnly === true && !isSessionRunning(result.focusSession);
+    const siteSchedule =
+      currentDomain && siteSettings[currentDomain] ? siteSettings[currentDomain].schedule : null;
+    const outsideSchedule = !FocusModeShared.isScheduleActive(siteSchedule);
+
+    document.getElementById("siteScheduleText").textContent =
+      FocusModeShared.formatSchedule(siteSchedule) || "always";
+    document.getElementById("siteHideStyle").value =
+      (currentDomain && siteSettings[currentDomain] && siteSettings[currentDomain].hideStyle) ||
+      FocusModeShared.DEFAULT_HIDE_STYLE;
+
+    document.getElementById("globalToggle").checked = globalEnabled;
+    document.getElementById("siteToggle").checked = !sitePaused;
+    document.getElementById("sessionOnlyToggle").checked = settings.sessionOnly === true;
+
+    const status = document.getElementById("pauseStatus");
+    const isPaused = !globalEnabled || sitePaused || waitingForSession || outsideSchedule;
+    document.getElementById("statsContainer").classList.toggle("paused", isPaused);
+
+    if (!globalEnabled) {
+      status.textContent = "⏸ Paused everywhere";
+    } else if (sitePaused) {
+      status.textContent = "⏸ Paused on this site";
+    } else if (waitingForSession) {
+      status.textContent = "⏱ Waiting for a focus session";
+    } else if (outsideSchedule) {
+      status.textContent = "🕘 Outside this site's schedule";
+    }
+    status.style.display = isPaused ? "block" : "none";
+  });
+}
+
+// Turn Focus Mode on or off for every site (rules are kept)
+function setGlobalEnabled(enabled) {
+  chrome.storage.local.get(["settings"], (result) => {
+    const settings = result.settings || {};
+    settings.enabled = enabled;
+
+    chrome.storage.local.set({ settings }, () => {
+      showToast(enabled ? "Focus Mode enabled" : "Focus Mode paused everywhere", "success");
+      updatePauseState();
+    });
+  });
+}
+
+// Pause or resume rules for the current site (rules are kept)
+function setSitePaused(paused) {
+  if (!currentDomain) return;
+
+  chrome.storage.local.get(["siteSettings"], (result) => {
+    const siteSettings = result.siteSettings || {};
+    const forDomain = siteSettings[currentDomain] || {};
+
+    if (paused) {
+      forDomain.paused = true;
+    } else {
+      delete forDomain.paused;
+    }
+
+    if (Object.keys(forDomain).length > 0) {
+      siteSettings[currentDomain] = forDomain;
+    } else {
+      delete siteSettings[currentDomain];
+    }
+
+    chrome.storage.local.set({ siteSettings }, () => {
+      showToast(paused ? `Paused on ${currentDomain}` : `Resumed on ${currentDomain}`, "success");
+      updatePauseState();
+    });
+  });
+}
+
+// Focus sessions
+function isSessionRunning(session) {
+  return Boolean(session && session.endsAt > Date.now());
+}
+
+function startFocusSession(minutes) {
+  chrome.runtime.sendMessage({ action: "startSession", minutes }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showToast("Could not start session", "error");
+      return;
+    }
+    showToast(`${minutes}-minute session started`, "success");
+  });
+}
+
+function stopFocusSession() {
+  chrome.runtime.sendMessage({ action: "stopSession" }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showToast("Could not end session", "error");
+      return;
+    }
+    showToast("Session ended", "success");
+  });
+}
+
+function setSessionOnly(sessionOnly) {
+  chrome.storage.local.get(["settings"], (result) => {
+    const settings = result.settings || {};
+    settings.sessionOnly = sessionOnly;
+
+    chrome.storage.local.set({ settings }, () => {
+      updatePauseState();
+    });
+  });
+}
+
+// Sync rules through the browser account; the background worker does the work
+function setSyncEnabled(enabled) {
+  if (
+    enabled &&
+    !confirm(
+      "Sync your hidden elements to every browser signed in to this account?\n\nRules will be stored in your browser's sync storage instead of only on this device."
+    )
+  ) {
+    document.getElementById("syncToggle").checked = false;
+    return;
+  }
+
+  chrome.storage.local.get(["settings"], (result) => {
+    const settings = result.settings || {};
+    settings.sync = enabled;
+
+    chrome.storage.local.set({ settings }, () => {
+      showToast(enabled ? "Sync turned on" : "Sync turned off", "success");
+    });
+  });
+}
+
+function updateSyncState() {
+  chrome.storage.local.get(["settings", "syncStatus"], (result) => {
+    const enabled = Boolean(result.settings && result.settings.sync === true);
+    const syncStatus = result.syncStatus || {};
+    const conflicts = syncStatus.conflicts || [];
+    const statusEl = document.getElementById("syncStatus");
+
+    document.getElementById("syncToggle").checked = enabled;
+    statusEl.style.display = enabled ? "block" : "none";
+    if (!enabled) return;
+
+    let text = "Waiting for first sync";
+    if (syncStatus.state === "syncing") {
+      text = "Syncing…";
+    } else if (syncStatus.state === "error") {
+      text = `Sync error: ${syncStatus.error}`;
+    } else if (syncStatus.lastSyncedAt) {
+      text = `Last synced ${new Date(syncStatus.lastSyncedAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`;
+    }
+
+    if (conflicts.length > 0) {
+      text += ` · ${conflicts.length} conflict(s) resolved`;
+    }
+
+    statusEl.textContent = text;
+    statusEl.classList.toggle("error", syncStatus.state === "error");
+    statusEl.classList.toggle("has-conflicts", conflicts.length > 0);
+  });
+}
+
+// List conflicts the last syncs resolved, then dismiss them
+function showSyncConflicts() {
+  chrome.storage.local.get(["syncStatus"], (result) => {
+    const syncStatus = result.syncStatus || {};
+    const conflicts = syncStatus.conflicts || [];
+    if (conflicts.length === 0) return;
+
+    const lines = conflicts.map((conflict) => {
+      const outcome = conflict.deleted ? "deleted" : "kept";
+      return `• ${conflict.siteKey}: ${conflict.label} (${outcome} the version from ${conflict.kept})`;
+    });
+
+    alert(`Both devices changed these rules; the newer change won:\n\n${lines.join("\n")}`);
+
+    syncStatus.conflicts = [];
+    chrome.storage.local.set({ syncStatus });
+  });
+}
+
+// Subscriptions: shared rule lists kept apart from personal rules.
+// The background worker downloads, validates and refreshes them
+function renderSubscriptions() {
+  chrome.storage.local.get(["subscriptions"], (result) => {
+    const subscriptions = result.subscriptions || [];
+    const container = document.getElementById("subscriptionsContainer");
+    container.innerHTML = "";
+
+    subscriptions.forEach((subscription) => {
+      const enabled = subscription.enabled !== false;
+
+      const item = document.createElement("div");
+      item.className = "selector-item subscription-item";
+      item.classList.toggle("disabled", !enabled);
+
+      const info = document.createElement("div");
+      info.className = "selector-info";
+
+      const title = document.createElement("span");
+      title.className = "selector-text";
+      title.textContent = subscription.title;
+      title.title = subscription.url || "Added from a file";
+      info.appendChild(title);
+
+      const meta = document.createElement("span");
+      meta.className = "selector-meta";
+      const updated = new Date(subscription.lastUpdated).toLocaleDateString();
+      const skipped = (subscription.rejectedCount || 0) + (subscription.unsupportedCount || 0);
+      meta.textContent = `${subscription.ruleCount} rules · ${subscription.url ? `updated ${updated}` : "file"}` +
+        (skipped > 0 ? ` · ${skipped} skipped` : "");
+      info.appendChild(meta);
+
+      if (subscription.lastError) {
+        const error = document.createElement("span");
+        error.className = "selector-meta error";
+        error.textContent = `⚠ ${subscription.lastError}`;
+        info.appendChild(error);
+      }
+
+      const toggleBtn = document.createElement("button");
+      toggleBtn.className = "btn-remove rule-option";
+      toggleBtn.classList.toggle("active", enabled);
+      toggleBtn.textContent = enabled ? "⏸" : "▶";
+      toggleBtn.title = enabled ? "Turn this subscription off" : "Turn this subscription on";
+      toggleBtn.addEventListener("click", () => {
+        setSubscriptionEnabled(subscription.id, !enabled);
+      });
+
+      item.appendChild(info);
+      item.appendChild(toggleBtn);
+
+      if (subscription.url) {
+        const refreshBtn = document.createElement("button");
+        refreshBtn.className = "btn-remove rule-option";
+        refreshBtn.textContent = "↻";
+        refreshBtn.title = "Refresh now";
+        refreshBtn.addEventListener("click", () => {
+          refreshSubscription(subscription.id);
+        });
+        item.appendChild(refreshBtn);
+      }
+
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "btn-remove";
+      removeBtn.textContent = "×";
+      removeBtn.title = "Unsubscribe";
+      removeBtn.addEventListener("click", () => {
+        if (confirm(`Unsubscribe from "${subscription.title}"? Its rules stop applying everywhere.`)) {
+          removeSubscription(subscription.id);
+        }
+      });
+      item.appendChild(removeBtn);
+
+      container.appendChild(item);
+    });
+  });
+}
+
+function closeSubscriptionForm() {
+  document.getElementById("subscriptionUrl").value = "";
+  document.getElementById("subscriptionForm").style.display = "none";
+}
+
+function subscribeToUrl() {
+  const url = document.getElementById("subscriptionUrl").value.trim();
+
+  try {
+    if (!/^https?:$/.test(new URL(url).protocol)) {
+      throw new Error("Unsupported protocol");
+    }
+  } catch (error) {
+    showToast("Enter an http or https URL", "error");
+    return;
+  }
+
+  showToast("Downloading list…");
+  chrome.runtime.sendMessage({ action: "addSubscription", url }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showToast(`Could not subscribe: ${response ? response.error : "no response"}`, "error");
+      return;
+    }
+    closeSubscriptionForm();
+    showToast(`Subscribed: ${response.subscription.ruleCount} rules`, "success");
+  });
+}
+
+function subscribeToFile() {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = "application/json,.json,.txt";
+
+  input.addEventListener("change", (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      chrome.runtime.sendMessage(
+        { action: "addSubscription", text: e.target.result, title: file.name },
+        (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) {
+            showToast(`Could not add list: ${response ? response.error : "no response"}`, "error");
+            return;
+          }
+          showToast(`Added ${response.subscription.ruleCount} rules from ${file.name}`, "success");
+        }
+      );
+    };
+    reader.readAsText(file);
+  });
+
+  input.click();
+}
+
+function refreshSubscription(id) {
+  chrome.runtime.sendMessage({ action: "refreshSubscriptions", id }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showToast("Could not refresh", "error");
+      return;
+    }
+    // Download errors are shown on the subscription itself
+    showToast("Subscription refreshed", "success");
+  });
+}
+
+function setSubscriptionEnabled(id, enabled) {
+  chrome.storage.local.get(["subscriptions"], (result) => {
+    const subscriptions = (result.subscriptions || []).map((subscription) =>
+      subscription.id === id ? { ...subscription, enabled } : subscription
+    );
+    chrome.storage.local.set({ subscriptions });
+  });
+}
+
+// Drop the subscription and its rules together; personal rules are untouched
+function removeSubscription(id) {
+  chrome.storage.local.get(["subscriptions", "subscriptionRules"], (result) => {
+    const subscriptions = (result.subscriptions || []).filter((subscription) => subscription.id !== id);
+    const subscriptionRules = result.subscriptionRules || {};
+    delete subscriptionRules[id];
+
+    chrome.storage.local.set({ subscriptions, subscriptionRules }, () => {
+      showToast("Unsubscribed", "success");
+    });
+  });
+}
+
+// Show the running session's remaining time, ticking while the popup is open
+function updateSessionState() {
+  chrome.storage.local.get(["focusSession"], (result) => {
+    const session = result.focusSession;
+    const running = isSessionRunning(session);
+
+    document.getElementById("sessionStartRow").style.display = running ? "none" : "flex";
+    document.getElementById("stopSessionBtn").style.display = running ? "flex" : "none";
+
+    clearInterval(sessionTimer);
+    sessionTimer = null;
+
+    const remainingEl = document.getElementById("sessionRemaining");
+    if (!running) {
+      remainingEl.textContent = "";
+      return;
+    }
+
+    const tick = () => {
+      const remainingMs = Math.max(0, session.endsAt - Date.now());
+      const totalSeconds = Math.ceil(remainingMs / 1000);
+      const minutes = Math.floor(totalSeconds / 60);
+      const seconds = String(totalSeconds % 60).padStart(2, "0");
+      remainingEl.textContent = `${minutes}:${seconds} left`;
+    };
+
+    tick();
+    sessionTimer = setInterval(tick, 1000);
+  });
+}
+
+// Apply a change to one stored rule, under the site key it came from
+function updateRule(rule, mutate, message) {
+  if (!currentDomain) return;
+
+  chrome.storage.local.get(["hiddenSelectors"], (result) => {
+    const hiddenSelectors = result.hiddenSelectors || {};
+    const selectorsForKey = hiddenSelectors[rule.siteKey] || [];
+    const ruleKey = FocusModeShared.getRuleKey(rule);
+    const entry = selectorsForKey.find((item) => FocusModeShared.getRuleKey(item) === ruleKey);
+    if (!entry) return;
+
+    mutate(entry);
+
+    chrome.storage.local.set({ hiddenSelectors }, () => {
+      showToast(typeof message === "function" ? message(entry) : message, "success");
+      renderSelectorsList();
+    });
+  });
+}
+
+// Mark a rule as part of the stricter set that only applies during sessions
+function toggleSessionOnlyRule(rule) {
+  updateRule(
+    rule,
+    (entry) => {
+      if (entry.sessionOnly) {
+        delete entry.sessionOnly;
+      } else {
+        entry.sessionOnly = true;
+      }
+    },
+    (entry) =>
+      entry.sessionOnly ? "Rule now applies only during sessions" : "Rule now always applies"
+  );
+}
+
+// Ask for a schedule like "weekdays 09:00-17:30" (blank = always)
+function promptForSchedule(current, subject) {
+  const input = prompt(
+    `Schedule for ${subject}\n\nExamples: "weekdays 09:00-17:30", "mon,wed 08:00-12:00", "weekends", "22:00-06:00".\nLeave blank to always hide.`,
+    FocusModeShared.formatSchedule(current)
+  );
+  if (input === null) return undefined;
+
+  try {
+    return FocusModeShared.parseSchedule(input);
+  } catch (error) {
+    showToast(error.message, "error");
+    return undefined;
+  }
+}
+
+function editRuleSchedule(entry) {
+  const schedule = promptForSchedule(entry.schedule, `"${entry.label}"`);
+  if (schedule === undefined) return;
+
+  updateRule(
+    entry,
+    (rule) => {
+      if (schedule) {
+        rule.schedule = schedule;
+      } else {
+        delete rule.schedule;
+      }
+    },
+    schedule ? `Scheduled: ${FocusModeShared.formatSchedule(schedule)}` : "Schedule removed"
+  );
+}
+
+// Short description of a URL pattern, relative to the current site where possible
+function describeUrlPattern(pattern) {
+  const text = FocusModeShared.formatUrlPattern(pattern);
+  const origin = currentTab ? new URL(currentTab.url).origin : "";
+  const relative = origin && text.startsWith(origin) ? text.slice(origin.length) || "/" : text;
+
+  if (pattern.type === "prefix") return `${relative}…`;
+  return relative;
+}
+
+// Ask for the pages a rule applies to (blank = whole site)
+function editRuleUrlPattern(entry) {
+  const input = prompt(
+    `Pages where "${entry.label}" is hidden\n\nA URL prefix (https://example.com/watch), a glob with * (https://example.com/*/comments*) or "re:" followed by a regular expression.\nLeave blank for the whole site.`,
+    FocusModeShared.formatUrlPattern(entry.urlPattern)
+  );
+  if (input === null) return;
+
+  let urlPattern;
+  try {
+    urlPattern = FocusModeShared.parseUrlPattern(input);
+  } catch (error) {
+    showToast(error.message, "error");
+    return;
+  }
+
+  updateRule(
+    entry,
+    (rule) => {
+      if (urlPattern) {
+        rule.urlPattern = urlPattern;
+      } else {
+        delete rule.urlPattern;
+      }
+    },
+    urlPattern ? "Rule limited to matching pages" : "Rule applies to the whole site"
+  );
+}
+
+// Move a rule between this hostname and the wildcard key for all its subdomains
+function toggleRuleSiteKey(entry) {
+  const wildcardKey = FocusModeShared.getWildcardSiteKey(currentDomain);
+  const targetKey = entry.siteKey.startsWith("*.") ? currentDomain : wildcardKey;
+
+  // localhost, IP addresses and public suffixes have no safe wildcard
+  if (!FocusModeShared.isValidSiteKey(targetKey)) {
+    showToast(`Rules on ${currentDomain} can't be shared with subdomains`, "error");
+    return;
+  }
+
+  chrome.storage.local.get(["hiddenSelectors"], (result) => {
+    const hiddenSelectors = result.hiddenSelectors || {};
+    const fromRules = hiddenSelectors[entry.siteKey] || [];
+    const ruleKey = FocusModeShared.getRuleKey(entry);
+    const stored = fromRules.find((item) => FocusModeShared.getRuleKey(item) === ruleKey);
+    if (!stored) return;
+
+    hiddenSelectors[entry.siteKey] = fromRules.filter((item) => item !== stored);
+    if (hiddenSelectors[entry.siteKey].length === 0) {
+      delete hiddenSelectors[entry.siteKey];
+    }
+
+    const toRules = hiddenSelectors[targetKey] || [];
+    if (!toRules.some((item) => FocusModeShared.getRuleKey(item) === ruleKey)) {
+      toRules.push(stored);
+    }
+    hiddenSelectors[targetKey] = toRules;
+
+    chrome.storage.local.set({ hiddenSelectors }, () => {
+      showToast(`Rule moved to ${targetKey}`, "success");
+      renderSelectorsList();
+    });
+  });
+}
+
+// Show the keyword rule form, empty for a new rule or filled in to edit one
+function openKeywordForm(rule) {
+  editingKeywordRule = rule;
+  document.getElementById("keywordContainer").value = rule ? rule.selector : "";
+  document.getElementById("keywordText").value = rule ? FocusModeShared.formatTextCondition(rule) : "";
+  document.getElementById("keywordForm").style.display = "flex";
+  document.getElementById(rule ? "keywordText" : "keywordContainer").focus();
+}
+
+function closeKeywordForm() {
+  editingKeywordRule = null;
+  document.getElementById("keywordForm").style.display = "none";
+}
+
+// Check a hand-written container selector before storing it
+function validateContainerSelector(selector) {
+  if (!selector) return "Container selector is required";
+  if (selector.length > 1000) return "Container selector is too long";
+  if (FocusModeShared.findDangerousPattern(selector)) return "Container selector contains unsafe characters";
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+  } catch (error) {
+    return "Invalid container selector";
+  }
+  return null;
+}
+
+// Create or update a keyword rule: hide containers whose text matches
+function saveKeywordRule() {
+  if (!currentDomain) return;
+
+  const selector = document.getElementById("keywordContainer").value.trim();
+  const selectorError = validateContainerSelector(selector);
+  if (selectorError) {
+    showToast(selectorError, "error");
+    return;
+  }
+
+  let condition;
+  try {
+    condition = FocusModeShared.parseTextCondition(document.getElementById("keywordText").value);
+  } catch (error) {
+    showToast(error.message, "error");
+    return;
+  }
+
+  const label = `"${FocusModeShared.formatTextCondition(condition)}" in ${selector}`.substring(0, 100);
+  const editing = editingKeywordRule;
+
+  if (editing) {
+    updateRule(
+      editing,
+      (rule) => {
+        rule.selector = selector;
+        rule.label = label;
+        Object.assign(rule, condition);
+      },
+      "Keyword rule updated"
+    );
+    closeKeywordForm();
+    return;
+  }
+
+  chrome.storage.local.get(["hiddenSelectors"], (result) => {
+    const hiddenSelectors = result.hiddenSelectors || {};
+    const selectorsForDomain = hiddenSelectors[currentDomain] || [];
+
+    selectorsForDomain.push({
+      type: "text",
+      id: FocusModeShared.createRuleId(),
+      selector,
+      label,
+      timestamp: Date.now(),
+      ...condition,
+    });
+    hiddenSelectors[currentDomain] = selectorsForDomain;
+
+    chrome.storage.local.set({ hiddenSelectors }, () => {
+      showToast("Keyword rule added", "success");
+      closeKeywordForm();
+      updateHiddenCount();
+      renderSelectorsList();
+    });
+  });
+}
+
+// Add the hide style choices to a <select>, optionally with "site default"
+function fillHideStyleOptions(select, includeSiteDefault) {
+  if (includeSiteDefault) {
+    select.add(new Option("Site default", ""));
+  }
+  for (const [value, style] of Object.entries(FocusModeShared.HIDE_STYLES)) {
+    select.add(new Option(style.label, value));
+  }
+}
+
+// Default hide style for rules on this site without their own
+function setSiteHideStyle(hideStyle) {
+  if (!currentDomain) return;
+
+  chrome.storage.local.get(["siteSettings"], (result) => {
+    const siteSettings = result.siteSettings || {};
+    const forDomain = siteSettings[currentDomain] || {};
+
+    if (hideStyle && hideStyle !== FocusModeShared.DEFAULT_HIDE_STYLE) {
+      forDomain.hideStyle = hideStyle;
+    } else {
+      delete forDomain.hideStyle;
+    }
+
+    if (Object.keys(forDomain).length > 0) {
+      siteSettings[currentDomain] = forDomain;
+    } else {
+      delete siteSettings[currentDomain];
+    }
+
+    chrome.storage.local.set({ siteSettings }, () => {
+      showToast(`Hide style: ${FocusModeShared.HIDE_STYLES[hideStyle].label}`, "success");
+    });
+  });
+}
+
+function setRuleHideStyle(entry, hideStyle) {
+  updateRule(
+    entry,
+    (rule) => {
+      if (hideStyle) {
+        rule.hideStyle = hideStyle;
+      } else {
+        delete rule.hideStyle;
+      }
+    },
+    hideStyle ? `Hide style: ${FocusModeShared.HIDE_STYLES[hideStyle].label}` : "Using the site's hide style"
+  );
+}
+
+// Site-wide schedule, used by rules without their own
+function editSiteSchedule() {
+  if (!currentDomain) return;
+
+  chrome.storage.local.get(["siteSettings"], (result) => {
+    const siteSettings = result.siteSettings || {};
+    const forDomain = siteSettings[currentDomain] || {};
+    const schedule = promptForSchedule(forDomain.schedule, currentDomain);
+    if (schedule === undefined) return;
+
+    if (schedule) {
+      forDomain.schedule = schedule;
+    } else {
+      delete forDomain.schedule;
+    }
+
+    if (Object.keys(forDomain).length > 0) {
+      siteSettings[currentDomain] = forDomain;
+    } else {
+      delete siteSettings[currentDomain];
+    }
+
+    chrome.storage.local.set({ siteSettings }, () => {
+      showToast(schedule ? "Site schedule saved" : "Site schedule removed", "success");
+      updatePauseState();
+    });
+  });
+}
+
+// Start selection mode in the page; with a rule given, the next pick
+// replaces that rule's selector instead of adding a new rule
+async function startSelection(repickRule) {
+  if (!currentTab) {
+    showToast("No active tab found", "error");
     return;
   }
 
-  chrome.storage.local.get(["hiddenSelectors"], (result) => {
-    const hiddenSelectors = result.hiddenSelectors || {};
-    const selectorsForDomain = hiddenSelectors[currentDomain] || [];
-    document.getElementById("hiddenCount").textContent =
-      selectorsForDomain.length;
-  });
+  if (!isValidTab(currentTab)) {
+    showToast("Cannot use on this page", "warning");
+    return;
+  }
+
+  try {
+    // Send message to content script
+    const response = await chrome.tabs.sendMessage(currentTab.id, {
+      action: "startSelection",
+      repickRule: repickRule,
+      timestamp: Date.now(),
+    });
+
+    if (response && response.success) {
+      console.log("Selection mode started");
+      // Close popup so user can interact with page
+      window.close();
+    }
+  } catch (error) {
+    console.error("Error starting selection mode:", error);
+
+    // Check if it's a connection error
+    if (error.message.includes("Could not establish connection")) {
+      showToast("Please reload the page first", "warning");
+    } else if (error.message.includes("context invalidated")) {
+      showToast("Extension reloaded - refresh page", "warning");
+    } else {
+      showToast("Error activating selection mode", "error");
+    }
+  }
 }
 
 // Toggle selectors list visibility
@@ -200,15 +1046,17 @@ function toggleSelectorsList() {
 function renderSelectorsList() {
   if (!currentDomain) return;
 
-  chrome.storage.local.get(["hiddenSelectors"], (result) => {
+  chrome.storage.local.get(["hiddenSelectors", "subscriptions", "subscriptionRules", "ruleHealth"], (result) => {
     const hiddenSelectors = result.hiddenSelectors || {};
-    const selectorsForDomain = hiddenSelectors[currentDomain] || [];
+    const ruleHealth = result.ruleHealth || {};
+    const selectorsForDomain = getRulesForSite(hiddenSelectors);
+    const subscribedForDomain = getSubscribedRulesForSite(result.subscriptions, result.subscriptionRules);
     const container = document.getElementById("selectorsContainer");
 
     // Clear container
     container.innerHTML = "";
 
-    if (selectorsForDomain.length === 0) {
+    if (selectorsForDomain.length === 0 && subscribedForDomain.length === 0) {
       container.innerHTML =
         '<div style="padding:10px; text-align:center; color:#999; font-size:12px;">No hidden elements yet.</div>';
       return;
@@ -219,46 +1067,214 @@ function renderSelectorsList() {
       const item = document.createElement("div");
       item.className = "selector-item";
 
+      const info = document.createElement("div");
+      info.className = "selector-info";
+
       const text = document.createElement("span");
       text.className = "selector-text";
       text.textContent = entry.label; // Show human-readable label
       text.title = entry.selector; // Show technical selector on hover
+      info.appendChild(text);
+
+      // Show where rules shared with other subdomains come from
+      if (entry.siteKey !== currentDomain) {
+        const meta = document.createElement("span");
+        meta.className = "selector-meta";
+        meta.textContent = `🌐 ${entry.siteKey}`;
+        meta.title = "Stored under a wildcard site key";
+        info.appendChild(meta);
+      }
+
+      if (entry.urlPattern) {
+        const meta = document.createElement("span");
+        meta.className = "selector-meta";
+        meta.textContent = `📍 ${describeUrlPattern(entry.urlPattern)}`;
+        meta.title = FocusModeShared.formatUrlPattern(entry.urlPattern);
+        info.appendChild(meta);
+      }
+
+      if (entry.frameOrigin) {
+        let frameHost = entry.frameOrigin;
+        try {
+          frameHost = new URL(entry.frameOrigin).host;
+        } catch (error) {
+          // Stored by an older version; show the origin as it is
+        }
+
+        const meta = document.createElement("span");
+        meta.className = "selector-meta";
+        meta.textContent = `🪟 In frame from ${frameHost}`;
+        meta.title = "Picked inside an embedded frame; applies only in frames from this origin";
+        info.appendChild(meta);
+      }
+
+      if (entry.schedule) {
+        const meta = document.createElement("span");
+        meta.className = "selector-meta";
+        meta.textContent = `🕘 ${FocusModeShared.formatSchedule(entry.schedule)}`;
+        info.appendChild(meta);
+      }
+
+      // Selectors fixed automatically after the site changed its markup
+      if (entry.repairs && entry.repairs.length > 0) {
+        const repair = entry.repairs[entry.repairs.length - 1];
+        const meta = document.createElement("span");
+        meta.className = "selector-meta";
+        meta.textContent = `🩹 Repaired ${new Date(repair.repairedAt).toLocaleDateString()}`;
+        meta.title = `Selector stopped matching and was found again:\n${repair.from}\n→ ${repair.to}`;
+        info.appendChild(meta);
+      }
+
+      // Match stats recorded by the content script on recent visits
+      const ruleKey = FocusModeShared.getRuleKey(entry);
+      const healthIssue = FocusModeShared.getRuleHealthIssue((ruleHealth[entry.siteKey] || {})[ruleKey]);
+      if (healthIssue) {
+        item.classList.add("unhealthy");
+
+        const meta = document.createElement("span");
+        meta.className = "selector-meta health-warning";
+        meta.textContent = `⚠ ${healthIssue.message}`;
+        meta.title = healthIssue.type === "broad"
+          ? "This rule may hide much more than intended; re-pick or remove it"
+          : "The page may have changed; re-pick the element or remove the rule";
+        info.appendChild(meta);
+      }
+
+      // Keyword rules open the form for editing
+      if (entry.type === "text") {
+        text.textContent = `🔤 ${entry.label}`;
+        text.classList.add("editable");
+        text.title = "Edit keyword rule";
+        text.addEventListener("click", () => {
+          openKeywordForm(entry);
+        });
+      }
+
+      const styleSelect = document.createElement("select");
+      styleSelect.className = "style-select";
+      styleSelect.title = "Hide style";
+      fillHideStyleOptions(styleSelect, true);
+      styleSelect.value = entry.hideStyle || "";
+      styleSelect.addEventListener("change", () => {
+        setRuleHideStyle(entry, styleSelect.value);
+      });
+
+      const siteKeyBtn = document.createElement("button");
+      siteKeyBtn.className = "btn-remove rule-option";
+      siteKeyBtn.classList.toggle("active", entry.siteKey.startsWith("*."));
+      siteKeyBtn.textContent = "🌐";
+      siteKeyBtn.title = entry.siteKey.startsWith("*.")
+        ? `Applies to all of ${entry.siteKey} (click to limit to ${currentDomain})`
+        : `Applies to ${currentDomain} only (click to apply to ${FocusModeShared.getWildcardSiteKey(currentDomain)})`;
+      siteKeyBtn.addEventListener("click", () => {
+        toggleRuleSiteKey(entry);
+      });
+
+      const scopeBtn = document.createElement("button");
+      scopeBtn.className = "btn-remove rule-option";
+      scopeBtn.classList.toggle("active", Boolean(entry.urlPattern));
+      scopeBtn.textContent = "📍";
+      scopeBtn.title = "Edit which pages this rule applies to";
+      scopeBtn.addEventListener("click", () => {
+        editRuleUrlPattern(entry);
+      });
+
+      const scheduleBtn = document.createElement("button");
+      scheduleBtn.className = "btn-remove rule-option";
+      scheduleBtn.classList.toggle("active", Boolean(entry.schedule));
+      scheduleBtn.textContent = "🕘";
+      scheduleBtn.title = "Edit schedule";
+      scheduleBtn.addEventListener("click", () => {
+        editRuleSchedule(entry);
+      });
+
+      const sessionBtn = document.createElement("button");
+      sessionBtn.className = "btn-remove rule-option";
+      sessionBtn.classList.toggle("active", Boolean(entry.sessionOnly));
+      sessionBtn.textContent = "⏱";
+      sessionBtn.title = entry.sessionOnly
+        ? "Only hidden during focus sessions (click to always hide)"
+        : "Always hidden (click to hide only during focus sessions)";
+      sessionBtn.addEventListener("click", () => {
+        toggleSessionOnlyRule(entry);
+      });
 
       const removeBtn = document.createElement("button");
       removeBtn.className = "btn-remove";
       removeBtn.textContent = "×";
       removeBtn.title = "Remove element";
       removeBtn.addEventListener("click", () => {
-        removeSelector(entry.selector);
+        removeSelector(entry);
       });
 
-      item.appendChild(text);
+      item.appendChild(info);
+
+      // Keyword rules are fixed through their form, not by picking an element
+      if (healthIssue && entry.type !== "text") {
+        const repickBtn = document.createElement("button");
+        repickBtn.className = "btn-remove rule-option";
+        repickBtn.textContent = "🎯";
+        repickBtn.title = "Re-pick the element this rule should hide";
+        repickBtn.addEventListener("click", () => {
+          startSelection({ siteKey: entry.siteKey, ruleKey, label: entry.label });
+        });
+        item.appendChild(repickBtn);
+      }
+
+      item.appendChild(styleSelect);
+      item.appendChild(siteKeyBtn);
+      item.appendChild(scopeBtn);
+      item.appendChild(scheduleBtn);
+      item.appendChild(sessionBtn);
       item.appendChild(removeBtn);
       container.appendChild(item);
     });
+
+    // Subscribed rules are read-only; switch the subscription off to show them
+    subscribedForDomain.forEach((entry) => {
+      const item = document.createElement("div");
+      item.className = "selector-item";
+
+      const info = document.createElement("div");
+      info.className = "selector-info";
+
+      const text = document.createElement("span");
+      text.className = "selector-text";
+      text.textContent = entry.type === "text" ? `🔤 ${entry.label}` : entry.label;
+      text.title = entry.selector;
+      info.appendChild(text);
+
+      const meta = document.createElement("span");
+      meta.className = "selector-meta";
+      meta.textContent = `📦 ${entry.subscriptionTitle}`;
+      meta.title = "From a subscription";
+      info.appendChild(meta);
+
+      item.appendChild(info);
+      container.appendChild(item);
+    });
   });
 }
 
-// Remove a specific selector
-function removeSelector(selectorToRemove) {
+// Remove a specific selector from the site key it is stored under
+function removeSelector(rule) {
   if (!currentDomain) return;
 
   chrome.storage.local.get(["hiddenSelectors"], (result) => {
     const hiddenSelectors = result.hiddenSelectors || {};
-    const selectorsForDomain = hiddenSelectors[currentDomain] || [];
+    const selectorsForKey = hiddenSelectors[rule.siteKey] || [];
 
     // Remove the selector
-    const filtered = selectorsForDomain.filter((item) => item.selector !== selectorToRemove);
-    hiddenSelectors[currentDomain] = filtered;
+    const ruleKey = FocusModeShared.getRuleKey(rule);
+    const filtered = selectorsForKey.filter((item) => FocusModeShared.getRuleKey(item) !== ruleKey);
+    hiddenSelectors[rule.siteKey] = filtered;
 
     // Save back to storage
     chrome.storage.local.set({ hiddenSelectors }, () => {
+      // Content scripts pick up the storage change and reveal the element live
       showToast("Selector removed", "success");
       updateHiddenCount();
       renderSelectorsList();
-
-      // Reload the tab to show the element again
-      chrome.tabs.reload(currentTab.id);
     });
   });
 }
@@ -266,29 +1282,20 @@ function removeSelector(selectorToRemove) {
 function resetCurrentSite() {
   if (!currentDomain) return;
 
-  chrome.storage.local.get(["hiddenSelectors", "undoStack"], (result) => {
+  chrome.storage.local.get(["hiddenSelectors"], (result) => {
     const hiddenSelectors = result.hiddenSelectors || {};
-    const allUndoStacks = result.undoStack || {};
 
-    // Remove selectors and undo stack for this domain
+    // Remove selectors for this domain; the reset itself can be undone
     delete hiddenSelectors[currentDomain];
-    delete allUndoStacks[currentDomain];
-
-    chrome.storage.local.set(
-      { hiddenSelectors, undoStack: allUndoStacks },
-      () => {
-        console.log("Reset site:", currentDomain);
-        showToast("Site reset successfully", "success");
-        updateHiddenCount();
-        updateUndoButton();
 
-        // Reload the current tab to show elements again
-        setTimeout(() => {
-          chrome.tabs.reload(currentTab.id);
-          window.close();
-        }, 1000);
+    chrome.storage.local.set({ hiddenSelectors }, () => {
+      console.log("Reset site:", currentDomain);
+      showToast("Site reset successfully", "success");
+      updateHiddenCount();
+      if (isListVisible) {
+        renderSelectorsList();
       }
-    );
+    });
   });
 }
 
@@ -325,7 +1332,7 @@ function importSettings() {
   // Create file input
   const input = document.createElement("input");
   input.type = "file";
-  input.accept = "application/json";
+  input.accept = "application/json,.json,.txt";
 
   input.addEventListener("change", (event) => {
     const file = event.target.files[0];
@@ -334,28 +1341,21 @@ function importSettings() {
     const reader = new FileReader();
 
     reader.onload = (e) => {
+      // Anything that isn't our JSON is read as a cosmetic filter list
+      if (!e.target.result.trim().startsWith("{")) {
+        importFilterList(file.name, e.target.result);
+        return;
+      }
+
       try {
         const imported = JSON.parse(e.target.result);
 
-        // Comprehensive validation
-        const validated = validateImportData(imported);
-        if (!validated) {
-          throw new Error("Import validation failed");
-        }
+        // Comprehensive validation; what fails is listed in the preview
+        const { rules, rejected } = FocusModeShared.validateRuleData(imported);
 
-        // Merge with existing settings
+        // Nothing is written until the user picks a strategy in the preview
         chrome.storage.local.get(["hiddenSelectors"], (result) => {
-          const existing = result.hiddenSelectors || {};
-          const merged = { ...existing, ...validated };
-
-          chrome.storage.local.set({ hiddenSelectors: merged }, () => {
-            const domainCount = Object.keys(validated).length;
-            showToast(`Imported ${domainCount} domain(s)`, "success");
-            updateHiddenCount();
-            if (isListVisible) {
-              renderSelectorsList();
-            }
-          });
+          openImportDialog(file.name, result.hiddenSelectors || {}, rules, rejected);
         });
       } catch (error) {
         showToast("Import failed: " + error.message, "error");
@@ -369,15 +1369,284 @@ function importSettings() {
   input.click();
 }
 
+// Compare rules ignoring when they were created
+function isSameRule(a, b) {
+  const canonical = (rule) =>
+    JSON.stringify(
+      Object.keys(rule)
+        .filter((key) => key !== "timestamp")
+        .sort()
+        .map((key) => [key, rule[key]])
+    );
+  return canonical(a) === canonical(b);
+}
+
+// Dry run of an import: per site key, which rules are new, identical to
+// what's stored, different from what's stored, only stored (dropped by
+// "replace"), or rejected by validation
+function buildImportPlan(existing, imported, rejected) {
+  const plan = {};
+  const siteFor = (siteKey) => {
+    plan[siteKey] = plan[siteKey] || {
+      imported: [],
+      added: [],
+      duplicate: [],
+      conflicting: [],
+      removed: [],
+      rejected: [],
+    };
+    return plan[siteKey];
+  };
+
+  for (const [siteKey, rules] of Object.entries(imported)) {
+    const site = siteFor(siteKey);
+    const current = existing[siteKey] || [];
+    const currentByKey = new Map(current.map((rule) => [FocusModeShared.getRuleKey(rule), rule]));
+
+    site.imported = rules;
+    for (const rule of rules) {
+      const match = currentByKey.get(FocusModeShared.getRuleKey(rule));
+      if (!match) {
+        site.added.push(rule);
+      } else if (isSameRule(match, rule)) {
+        site.duplicate.push(rule);
+      } else {
+        site.conflicting.push({ existing: match, incoming: rule });
+      }
+    }
+
+    const importedKeys = new Set(rules.map((rule) => FocusModeShared.getRuleKey(rule)));
+    site.removed = current.filter((rule) => !importedKeys.has(FocusModeShared.getRuleKey(rule)));
+  }
+
+  for (const item of rejected) {
+    siteFor(item.siteKey || "(whole file)").rejected.push(item);
+  }
+
+  return plan;
+}
+
+// Apply a plan with a strategy:
+// - merge: add new rules and take the imported version of conflicting ones
+// - skip: add new rules only; stored rules are left exactly as they are
+// - replace: each imported site gets exactly the imported list
+function applyImportPlan(existing, plan, strategy) {
+  const result = { ...existing };
+
+  for (const [siteKey, site] of Object.entries(plan)) {
+    if (site.imported.length === 0) continue;
+
+    if (strategy === "replace") {
+      result[siteKey] = site.imported;
+      continue;
+    }
+
+    const incomingByKey = new Map(
+      site.conflicting.map(({ incoming }) => [FocusModeShared.getRuleKey(incoming), incoming])
+    );
+    const list = (existing[siteKey] || []).map((rule) => {
+      const incoming = incomingByKey.get(FocusModeShared.getRuleKey(rule));
+      return strategy === "merge" && incoming ? incoming : rule;
+    });
+
+    result[siteKey] = [...list, ...site.added];
+  }
+
+  return result;
+}
+
+// Counts of what a strategy would do with the pending import
+function countImportChanges(plan, strategy) {
+  const counts = { added: 0, updated: 0, removed: 0, unchanged: 0, rejected: 0 };
+
+  for (const site of Object.values(plan)) {
+    counts.rejected += site.rejected.length;
+    if (site.imported.length === 0) continue;
+
+    counts.added += site.added.length;
+    counts.unchanged += site.duplicate.length;
+    if (strategy === "skip") {
+      counts.unchanged += site.conflicting.length;
+    } else {
+      counts.updated += site.conflicting.length;
+    }
+    if (strategy === "replace") {
+      counts.removed += site.removed.length;
+    }
+  }
+
+  return counts;
+}
+
+function openImportDialog(fileName, existing, rules, rejected) {
+  const plan = buildImportPlan(existing, rules, rejected);
+  pendingImport = { fileName, rules, rejected, plan };
+
+  const diff = document.getElementById("importDiff");
+  diff.innerHTML = "";
+
+  const addLine = (site, symbol, className, text, detail) => {
+    const line = document.createElement("div");
+    line.className = `import-line ${className}`;
+    line.textContent = `${symbol} ${text}`;
+    if (detail) {
+      line.title = detail;
+    }
+    site.appendChild(line);
+  };
+
+  for (const [siteKey, site] of Object.entries(plan)) {
+    const section = document.createElement("div");
+    section.className = "import-site";
+
+    const heading = document.createElement("div");
+    heading.className = "import-site-key";
+    heading.textContent = siteKey;
+    section.appendChild(heading);
+
+    site.added.forEach((rule) => addLine(section, "+", "added", rule.label, rule.selector));
+    site.conflicting.forEach(({ existing, incoming }) => {
+      addLine(section, "~", "conflicting", `${incoming.label} (differs from stored)`,
+        `Stored: ${JSON.stringify(existing)}\nImported: ${JSON.stringify(incoming)}`);
+    });
+    site.duplicate.forEach((rule) => addLine(section, "=", "duplicate", `${rule.label} (already stored)`, rule.selector));
+    if (site.imported.length > 0) {
+      site.removed.forEach((rule) => addLine(section, "−", "removed", `${rule.label} (dropped by Replace)`, rule.selector));
+    }
+    site.rejected.forEach((item) => {
+      addLine(section, "✕", "rejected", `${item.selector || "Rule"}: ${item.reason}`);
+    });
+
+    diff.appendChild(section);
+  }
+
+  document.getElementById("importTitle").textContent = `Import ${fileName}`;
+  document.querySelector("input[name='importStrategy'][value='merge']").checked = true;
+  updateImportSummary();
+  document.getElementById("importDialog").style.display = "flex";
+}
+
+function closeImportDialog() {
+  pendingImport = null;
+  document.getElementById("importDialog").style.display = "none";
+}
+
+function getImportStrategy() {
+  return document.querySelector("input[name='importStrategy']:checked").value;
+}
+
+function updateImportSummary() {
+  if (!pendingImport) return;
+
+  const counts = countImportChanges(pendingImport.plan, getImportStrategy());
+  const parts = [`${counts.added} new`, `${counts.updated} updated`];
+  if (counts.removed > 0) parts.push(`${counts.removed} removed`);
+  parts.push(`${counts.unchanged} unchanged`);
+  if (counts.rejected > 0) parts.push(`${counts.rejected} rejected`);
+
+  document.getElementById("importSummary").textContent = parts.join(" · ");
+  document.getElementById("importApplyBtn").disabled =
+    counts.added + counts.updated + counts.removed === 0;
+}
+
+function applyPendingImport() {
+  if (!pendingImport) return;
+
+  const { rules, rejected } = pendingImport;
+  const strategy = getImportStrategy();
+  closeImportDialog();
+
+  // Re-read and plan again, so rules added while the preview was open are
+  // kept and not added a second time
+  chrome.storage.local.get(["hiddenSelectors"], (result) => {
+    const existing = result.hiddenSelectors || {};
+    const plan = buildImportPlan(existing, rules, rejected);
+    const counts = countImportChanges(plan, strategy);
+    const hiddenSelectors = applyImportPlan(existing, plan, strategy);
+
+    // One write, so the background history can undo the whole import at once
+    chrome.storage.local.set({ hiddenSelectors }, () => {
+      showToast(
+        `Imported: ${counts.added} new, ${counts.updated} updated, ${counts.removed} removed`,
+        "success"
+      );
+      updateHiddenCount();
+      if (isListVisible) {
+        renderSelectorsList();
+      }
+    });
+  });
+}
+
+// Cosmetic filters ("example.com##.selector") for uBlock Origin and AdGuard
+function exportFilterList() {
+  chrome.storage.local.get(["hiddenSelectors"], (result) => {
+    const { text, count, skipped } = FocusModeShared.formatCosmeticFilters(
+      result.hiddenSelectors || {}
+    );
+
+    if (count === 0) {
+      showToast("No rules to export as filters", "warning");
+      return;
+    }
+
+    const blob = new Blob([text], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `focus-mode-filters-${new Date().toISOString().split("T")[0]}.txt`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+
+    // Keyword, page-scoped, scheduled and session rules have no filter equivalent
+    const skippedNote = skipped > 0 ? `, ${skipped} rule(s) skipped` : "";
+    showToast(`Exported ${count} filter(s)${skippedNote}`, "success");
+  });
+}
+
+function importFilterList(fileName, text) {
+  const { rules, exceptions, unsupported } = FocusModeShared.parseCosmeticFilters(text);
+
+  // "#@#" exceptions cancel the list's own filters on that domain and its
+  // subdomains; rules you made yourself are never removed by an import
+  const isExcepted = (siteKey, selector) => Object.entries(exceptions).some(([exceptionKey, selectors]) => {
+    return selectors.includes(selector) &&
+      FocusModeShared.matchesSiteKey(exceptionKey, siteKey.replace(/^\*\./, ""));
+  });
+
+  const data = {};
+  const excepted = [];
+  for (const [siteKey, selectors] of Object.entries(rules)) {
+    for (const selector of selectors) {
+      if (isExcepted(siteKey, selector)) {
+        excepted.push({ siteKey, selector, reason: "cancelled by a #@# exception in the list" });
+        continue;
+      }
+      data[siteKey] = data[siteKey] || [];
+      data[siteKey].push({ selector, label: selector });
+    }
+  }
+
+  // Every selector goes through the same checks and the same preview as a
+  // JSON import; lines we can't express are listed with the rejected rules
+  const { rules: validated, rejected } = FocusModeShared.validateRuleData(data);
+  const skipped = unsupported.map((item) => ({
+    selector: `Line ${item.line}: ${item.text.substring(0, 80)}`,
+    reason: item.reason,
+  }));
+
+  chrome.storage.local.get(["hiddenSelectors"], (result) => {
+    openImportDialog(fileName, result.hiddenSelectors || {}, validated, [...rejected, ...excepted, ...skipped]);
+  });
+}
+
 function clearAllSites() {
-  chrome.storage.local.set({ hiddenSelectors: {} }, () => {
+  chrome.storage.local.set({ hiddenSelectors: {}, siteSettings: {} }, () => {
     console.log("Cleared all sites");
     updateHiddenCount();
     showToast("All data cleared", "success");
-
-    // Also clear undo stack
-    chrome.storage.local.set({ undoStack: {} });
-    updateUndoButton();
   });
 }
 
@@ -397,79 +1666,77 @@ function showToast(message, type = "info") {
   }, 3000);
 }
 
-// Undo functionality
-function loadUndoStack() {
+// Undo / redo
+// The background worker records every rule change per site; the popup only
+// reads that history and asks the worker to step through it
+function loadHistory() {
   if (!currentDomain) return;
 
-  chrome.storage.local.get(["undoStack"], (result) => {
-    const allUndoStacks = result.undoStack || {};
-    undoStack = allUndoStacks[currentDomain] || [];
-    updateUndoButton();
+  chrome.storage.local.get(["ruleHistory"], (result) => {
+    const allHistory = result.ruleHistory || {};
+    ruleHistory = allHistory[FocusModeShared.getHistoryKey(currentDomain)] || { undo: [], redo: [] };
+    updateHistoryButtons();
   });
 }
 
-function saveUndoStack() {
+function stepHistory(direction) {
   if (!currentDomain) return;
 
-  chrome.storage.local.get(["undoStack"], (result) => {
-    const allUndoStacks = result.undoStack || {};
-    allUndoStacks[currentDomain] = undoStack;
-    chrome.storage.local.set({ undoStack: allUndoStacks });
+  chrome.runtime.sendMessage({ action: direction, domain: currentDomain }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showToast(`Nothing to ${direction}`, "warning");
+      return;
+    }
+
+    // Content scripts pick up the storage change and update the page live
+    showToast(`${direction === "undo" ? "Undone" : "Redone"}: ${response.label}`, "success");
+    updateHiddenCount();
+    if (isListVisible) {
+      renderSelectorsList();
+    }
   });
 }
 
-function addToUndoStack(selector) {
-  undoStack.push({
-    selector: selector,
-    timestamp: Date.now(),
-  });
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  const lastUndo = ruleHistory.undo[ruleHistory.undo.length - 1];
+  const lastRedo = ruleHistory.redo[ruleHistory.redo.length - 1];
 
-  // Keep only last 10 actions
-  if (undoStack.length > 10) {
-    undoStack.shift();
-  }
+  document.getElementById("historyRow").style.display = lastUndo || lastRedo ? "flex" : "none";
 
-  saveUndoStack();
-  updateUndoButton();
+  undoBtn.disabled = !lastUndo;
+  undoBtn.title = lastUndo ? `Undo: ${lastUndo.label}` : "";
+  redoBtn.disabled = !lastRedo;
+  redoBtn.title = lastRedo ? `Redo: ${lastRedo.label}` : "";
 }
 
-function undoLastHide() {
-  if (undoStack.length === 0) return;
+// Keep the session display current when the timer ends or another view changes it
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local") return;
 
-  const lastAction = undoStack.pop();
-  const selectorToRestore = lastAction.selector;
+  if (changes.focusSession) {
+    updateSessionState();
+    updatePauseState();
+  }
 
-  // Remove from hidden selectors
-  chrome.storage.local.get(["hiddenSelectors"], (result) => {
-    const hiddenSelectors = result.hiddenSelectors || {};
-    const selectorsForDomain = hiddenSelectors[currentDomain] || [];
+  // Hides, removals and undos from the page or other views
+  if (changes.ruleHistory) {
+    loadHistory();
+  }
 
-    // Remove the selector
-    const filtered = selectorsForDomain.filter((item) => item.selector !== selectorToRestore);
-    hiddenSelectors[currentDomain] = filtered;
+  if (changes.syncStatus || changes.settings) {
+    updateSyncState();
+  }
 
-    // Save back to storage
-    chrome.storage.local.set({ hiddenSelectors }, () => {
-      showToast("Undo successful", "success");
-      updateHiddenCount();
+  if (changes.subscriptions || changes.subscriptionRules) {
+    renderSubscriptions();
+    updateHiddenCount();
+    if (isListVisible) {
       renderSelectorsList();
-      saveUndoStack();
-      updateUndoButton();
-
-      // Reload the tab to show the element again
-      chrome.tabs.reload(currentTab.id);
-    });
-  });
-}
-
-function updateUndoButton() {
-  const undoBtn = document.getElementById("undoBtn");
-  if (undoStack.length > 0) {
-    undoBtn.style.display = "block";
-  } else {
-    undoBtn.style.display = "none";
+    }
   }
-}
+});
 
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((message) => {
@@ -480,134 +1747,12 @@ chrome.runtime.onMessage.addListener((message) => {
       renderSelectorsList();
     }
 
-    // Add to undo stack
-    if (message.selector) {
-      addToUndoStack(message.selector);
-    }
-
     // Show toast with label if available
     const displayText = message.label || "Element hidden";
     showToast(`Hidden: ${displayText}`, "success");
   }
 });
 
-/**
- * Validates imported settings data to prevent malicious content
- * @param {any} data - The imported data to validate
- * @returns {Object|null} Validated data object or null if invalid
- */
-function validateImportData(data) {
-  // Basic structure validation
-  if (typeof data !== "object" || data === null || Array.isArray(data)) {
-    console.error("[Focus Mode] Invalid import format: must be an object");
-    return null;
-  }
-
-  const validated = {};
-  let totalSelectors = 0;
-  const MAX_SELECTORS_TOTAL = 10000;
-  const MAX_SELECTORS_PER_DOMAIN = 100;
-  const MAX_SELECTOR_LENGTH = 1000;
-
-  for (const [domain, selectors] of Object.entries(data)) {
-    // Validate domain name
-    if (typeof domain !== "string" || !domain) {
-      console.warn(`[Focus Mode] Invalid domain skipped: ${domain}`);
-      continue;
-    }
-
-    // Domain should look like a valid hostname
-    if (!domain.match(/^[a-z0-9.-]+$/i) || domain.length > 253) {
-      console.warn(`[Focus Mode] Invalid domain format skipped: ${domain}`);
-      continue;
-    }
-
-    // Validate selectors array
-    if (!Array.isArray(selectors)) {
-      console.warn(
-        `[Focus Mode] Invalid selectors for ${domain}: not an array`
-      );
-      continue;
-    }
-
-    // Filter and validate each selector
-    const validSelectors = [];
-    for (const selectorItem of selectors.slice(0, MAX_SELECTORS_PER_DOMAIN)) {
-      // Type check - expect object with selector property
-      if (typeof selectorItem !== "object" || selectorItem === null) {
-        console.warn(`[Focus Mode] Invalid selector format, skipped`);
-        continue;
-      }
-
-      if (!selectorItem.selector || typeof selectorItem.selector !== "string") {
-        console.warn(`[Focus Mode] Missing or invalid selector property, skipped`);
-        continue;
-      }
-
-      // Length check
-      if (selectorItem.selector.length > MAX_SELECTOR_LENGTH) {
-        console.warn(
-          `[Focus Mode] Selector too long (${selectorItem.selector.length} chars), skipped`
-        );
-        continue;
-      }
-
-      // Check for dangerous patterns
-      const dangerousPatterns = [
-        "{",
-        "}",
-        ";",
-        "/*",
-        "*/",
-        "@import",
-        "@charset",
-        "javascript:",
-        "<script",
-      ];
-      let isDangerous = false;
-      for (const pattern of dangerousPatterns) {
-        if (selectorItem.selector.includes(pattern)) {
-          console.warn(`[Focus Mode] Dangerous selector blocked: ${selectorItem.selector}`);
-          isDangerous = true;
-          break;
-        }
-      }
-
-      if (!isDangerous) {
-        validSelectors.push({
-          selector: selectorItem.selector,
-          label: selectorItem.label || selectorItem.selector,
-          timestamp: selectorItem.timestamp || Date.now()
-        });
-      }
-    }
-
-    // Add to validated object if we have valid selectors
-    if (validSelectors.length > 0) {
-      validated[domain] = validSelectors;
-      totalSelectors += validSelectors.length;
-    }
-
-    // Overall limit check
-    if (totalSelectors > MAX_SELECTORS_TOTAL) {
-      console.error("[Focus Mode] Import too large, truncating");
-      break;
-    }
-  }
-
-  if (Object.keys(validated).length === 0) {
-    console.error("[Focus Mode] No valid data found in import");
-    return null;
-  }
-
-  console.log(
-    `[Focus Mode] Validated ${
-      Object.keys(validated).length
-    } domains, ${totalSelectors} selectors`
-  );
-  return validated;
-}
-
 // Clean up bad selectors that contain 'focus-mode-highlight'
 function cleanupBadSelectors() {
   chrome.storage.local.get(["hiddenSelectors"], (result) => {
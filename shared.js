@@ -0,0 +1,1269 @@
+// Focus Mode - Shared Helpers
+// Loaded by the content script, popup and background worker
+
+(function(root) {
+  'use strict';
+
+  // ============================================================================
+  // SCHEDULES
+  // ============================================================================
+
+  const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const WEEKDAYS = [1, 2, 3, 4, 5];
+  const WEEKEND = [0, 6];
+  const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+  const MINUTES_PER_DAY = 24 * 60;
+
+  /**
+   * Converts "HH:MM" to minutes since midnight
+   * @param {string} value - Time string (24h clock, "24:00" allowed as end of day)
+   * @returns {number|null} Minutes since midnight or null if invalid
+   */
+  function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Converts minutes since midnight back to "HH:MM"
+   * @param {number} minutes - Minutes since midnight
+   * @returns {string} Zero-padded time string
+   */
+  function formatTime(minutes) {
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    const mins = String(minutes % 60).padStart(2, '0');
+    return `${hours}:${mins}`;
+  }
+
+  /**
+   * Parses the day part of a schedule ("weekdays", "mon-fri", "sat,sun", ...)
+   * @param {string} token - Day expression
+   * @returns {number[]|null} Sorted day numbers (0 = Sunday) or null if invalid
+   */
+  function parseDays(token) {
+    const value = token.toLowerCase();
+    if (value === 'daily' || value === 'everyday' || value === 'always') return ALL_DAYS.slice();
+    if (value === 'weekdays') return WEEKDAYS.slice();
+    if (value === 'weekends' || value === 'weekend') return WEEKEND.slice();
+
+    const days = new Set();
+    for (const part of value.split(',')) {
+      const range = part.split('-').map(name => DAY_NAMES.indexOf(name.trim().substring(0, 3)));
+      if (range.length > 2 || range.some(index => index === -1)) return null;
+
+      if (range.length === 1) {
+        days.add(range[0]);
+        continue;
+      }
+
+      // Ranges may wrap around the week, e.g. "fri-mon"
+      for (let day = range[0]; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === range[1]) break;
+      }
+    }
+
+    return days.size > 0 ? Array.from(days).sort((a, b) => a - b) : null;
+  }
+
+  /**
+   * Parses a human-entered schedule such as "weekdays 09:00-17:30",
+   * "mon,wed 8:00-12:00", "weekends" or "22:00-06:00" (overnight)
+   * @param {string} text - Schedule text
+   * @returns {Object|null} Schedule object, or null for a blank string (always on)
+   * @throws {Error} If the text cannot be understood
+   */
+  function parseSchedule(text) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+
+    let days = ALL_DAYS.slice();
+    let start = 0;
+    let end = MINUTES_PER_DAY;
+
+    const timeMatch = /(\d{1,2}:\d{2})\s*(?:-|–|—|to)\s*(\d{1,2}:\d{2})$/i.exec(value);
+    const dayPart = (timeMatch ? value.slice(0, timeMatch.index) : value).trim();
+
+    if (timeMatch) {
+      start = parseTime(timeMatch[1]);
+      end = parseTime(timeMatch[2]);
+      if (start === null || end === null || start === end) {
+        throw new Error('Times must look like 09:00-17:30');
+      }
+    }
+
+    if (dayPart) {
+      days = parseDays(dayPart.replace(/\s+/g, ''));
+      if (!days) {
+        throw new Error('Days must look like "weekdays", "mon-fri" or "sat,sun"');
+      }
+    }
+
+    return { days, start: formatTime(start), end: formatTime(end) };
+  }
+
+  /**
+   * Validates a stored or imported schedule object
+   * @param {any} schedule - Candidate schedule
+   * @returns {Object|null} Cleaned schedule or null if invalid
+   */
+  function normalizeSchedule(schedule) {
+    if (typeof schedule !== 'object' || schedule === null || !Array.isArray(schedule.days)) {
+      return null;
+    }
+
+    const days = Array.from(new Set(schedule.days))
+      .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+
+    if (days.length === 0 || start === null || end === null || start === end) {
+      return null;
+    }
+
+    return { days, start: formatTime(start), end: formatTime(end) };
+  }
+
+  /**
+   * Formats a schedule back into the text accepted by parseSchedule
+   * @param {Object|null} schedule - Schedule object
+   * @returns {string} Display text ("" when there is no schedule)
+   */
+  function formatSchedule(schedule) {
+    if (!schedule) return '';
+
+    const key = schedule.days.join(',');
+    let days;
+    if (key === ALL_DAYS.join(',')) {
+      days = 'daily';
+    } else if (key === WEEKDAYS.join(',')) {
+      days = 'weekdays';
+    } else if (key === WEEKEND.join(',')) {
+      days = 'weekends';
+    } else {
+      days = schedule.days.map(day => DAY_NAMES[day]).join(',');
+    }
+
+    const allDay = schedule.start === '00:00' && schedule.end === '24:00';
+    return allDay ? days : `${days} ${schedule.start}–${schedule.end}`;
+  }
+
+  /**
+   * Checks whether a schedule is active at the given moment
+   * End times are exclusive; an end before the start runs past midnight
+   * @param {Object|null} schedule - Schedule object (null means always active)
+   * @param {Date} [now] - Moment to check
+   * @returns {boolean} True if active
+   */
+  function isScheduleActive(schedule, now = new Date()) {
+    if (!schedule) return true;
+
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const today = now.getDay();
+    const yesterday = (today + 6) % 7;
+
+    if (start < end) {
+      return schedule.days.includes(today) && minute >= start && minute < end;
+    }
+
+    // Overnight window: the late part belongs to today, the early part to yesterday
+    return (schedule.days.includes(today) && minute >= start) ||
+           (schedule.days.includes(yesterday) && minute < end);
+  }
+
+  /**
+   * Finds the next moment any of the given schedules may switch state
+   * @param {Array<Object|null>} schedules - Schedules to watch
+   * @param {Date} [now] - Starting moment
+   * @returns {number|null} Timestamp (ms) of the next boundary or null if none
+   */
+  function getNextScheduleBoundary(schedules, now = new Date()) {
+    let next = null;
+
+    for (const schedule of schedules) {
+      if (!schedule) continue;
+
+      for (const time of [schedule.start, schedule.end]) {
+        const minutes = parseTime(time);
+
+        // A week ahead covers every weekday; one extra day covers the wrap
+        for (let offset = 0; offset <= 7; offset++) {
+          const candidate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+          candidate.setMinutes(minutes);
+          const timestamp = candidate.getTime();
+
+          if (timestamp > now.getTime()) {
+            if (next === null || timestamp < next) next = timestamp;
+            break;
+          }
+        }
+      }
+    }
+
+    return next;
+  }
+
+  // ============================================================================
+  // URL PATTERNS
+  // ============================================================================
+
+  const URL_PATTERN_TYPES = ['prefix', 'glob', 'regex'];
+  const MAX_URL_PATTERN_LENGTH = 500;
+
+  // Compiled regexes, keyed by "type:value"
+  const urlPatternCache = new Map();
+
+  /**
+   * Strips the fragment from a URL; rules never depend on the #hash
+   * @param {string} url - Full URL
+   * @returns {string} URL without its fragment
+   */
+  function stripHash(url) {
+    const index = url.indexOf('#');
+    return index === -1 ? url : url.slice(0, index);
+  }
+
+  /**
+   * Compiles a URL pattern into a RegExp
+   * - prefix: matches the URL and anything below it on a path boundary
+   * - glob:   the whole URL, where * matches any run of characters
+   * - regex:  a JavaScript regular expression tested against the URL
+   * @param {Object} pattern - { type, value }
+   * @returns {RegExp} Compiled expression
+   */
+  function compileUrlPattern(pattern) {
+    const key = `${pattern.type}:${pattern.value}`;
+    if (urlPatternCache.has(key)) {
+      return urlPatternCache.get(key);
+    }
+
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    let regex;
+
+    if (pattern.type === 'prefix') {
+      const boundary = pattern.value.endsWith('/') ? '' : '(?:[/?]|$)';
+      regex = new RegExp(`^${escape(pattern.value)}${boundary}`);
+    } else if (pattern.type === 'glob') {
+      regex = new RegExp(`^${pattern.value.split('*').map(escape).join('.*')}$`);
+    } else {
+      regex = new RegExp(pattern.value);
+    }
+
+    urlPatternCache.set(key, regex);
+    return regex;
+  }
+
+  /**
+   * Validates a stored or imported URL pattern
+   * @param {any} pattern - Candidate pattern
+   * @returns {Object|null} Cleaned { type, value } or null if invalid
+   */
+  function normalizeUrlPattern(pattern) {
+    if (typeof pattern !== 'object' || pattern === null) return null;
+    if (!URL_PATTERN_TYPES.includes(pattern.type)) return null;
+    if (typeof pattern.value !== 'string' || !pattern.value) return null;
+    if (pattern.value.length > MAX_URL_PATTERN_LENGTH) return null;
+
+    const cleaned = { type: pattern.type, value: pattern.value };
+    try {
+      compileUrlPattern(cleaned);
+    } catch (error) {
+      return null;
+    }
+    return cleaned;
+  }
+
+  /**
+   * Parses a human-entered URL pattern
+   * "re:<expression>" is a regex, text containing * is a glob, anything else a prefix
+   * Prefixes and globs are matched against the full URL, so they must start
+   * with the scheme; a bare path like /watch would never match
+   * @param {string} text - Pattern text
+   * @returns {Object|null} Pattern, or null for a blank string (whole site)
+   * @throws {Error} If the pattern is invalid
+   */
+  function parseUrlPattern(text) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+
+    let pattern;
+    if (value.startsWith('re:')) {
+      pattern = { type: 'regex', value: value.slice(3) };
+    } else if (value.includes('*')) {
+      pattern = { type: 'glob', value };
+    } else {
+      pattern = { type: 'prefix', value };
+    }
+
+    if (pattern.type !== 'regex' && !/^https?:\/\//.test(value)) {
+      throw new Error('URL patterns must start with http:// or https://');
+    }
+
+    const normalized = normalizeUrlPattern(pattern);
+    if (!normalized) {
+      throw new Error('Invalid URL pattern');
+    }
+    return normalized;
+  }
+
+  /**
+   * Formats a URL pattern back into the text accepted by parseUrlPattern
+   * @param {Object|null} pattern - URL pattern
+   * @returns {string} Pattern text ("" for the whole site)
+   */
+  function formatUrlPattern(pattern) {
+    if (!pattern) return '';
+    return pattern.type === 'regex' ? `re:${pattern.value}` : pattern.value;
+  }
+
+  /**
+   * Checks a URL against a rule's pattern
+   * @param {Object|null} pattern - URL pattern (null matches every URL)
+   * @param {string} url - Full page URL
+   * @returns {boolean} True if the URL matches
+   */
+  function matchesUrlPattern(pattern, url) {
+    if (!pattern) return true;
+
+    try {
+      return compileUrlPattern(pattern).test(stripHash(url));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Builds the pattern for one of the selection-mode scopes
+   * - page:    this exact URL (query included)
+   * - section: everything under the first path segment, e.g. /watch or /r
+   * - site:    no pattern, the rule applies to the whole site
+   * @param {string} scope - 'page', 'section' or 'site'
+   * @param {string} url - Current page URL
+   * @returns {Object|null} URL pattern or null for the whole site
+   */
+  function createScopePattern(scope, url) {
+    const parsed = new URL(url);
+
+    if (scope === 'page') {
+      return { type: 'glob', value: `${parsed.origin}${parsed.pathname}${parsed.search}`.replace(/\*/g, '%2A') };
+    }
+
+    if (scope === 'section') {
+      const segment = parsed.pathname.split('/').filter(Boolean)[0];
+      return segment ? { type: 'prefix', value: `${parsed.origin}/${segment}` } : null;
+    }
+
+    return null;
+  }
+
+  // ============================================================================
+  // SITE KEYS
+  // ============================================================================
+
+  // Storage keys are exact hostnames ("www.reddit.com") or wildcards
+  // ("*.reddit.com") that match the domain itself and every subdomain
+  const SITE_KEY_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+  const MAX_SITE_KEY_LENGTH = 253;
+
+  // Common two-label public suffixes; anything else is treated as one label
+  const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+    'co.nz', 'org.nz', 'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.in', 'co.za',
+    'com.br', 'com.mx', 'com.ar', 'com.cn', 'com.tw', 'com.hk', 'com.sg',
+    'com.tr', 'com.ua', 'co.il', 'co.id', 'com.my', 'com.ph'
+  ]);
+
+  /**
+   * Checks that a storage key is a hostname or a leading "*." wildcard
+   * Wildcards must sit on a registrable domain: "*.com" or "*.co.uk" would
+   * apply one rule to every site under that suffix
+   * @param {string} key - Candidate site key
+   * @returns {boolean} True if the key is safe to store and match
+   */
+  function isValidSiteKey(key) {
+    if (typeof key !== 'string' ||
+        key.length > MAX_SITE_KEY_LENGTH ||
+        !SITE_KEY_PATTERN.test(key)) {
+      return false;
+    }
+
+    if (!key.startsWith('*.')) return true;
+
+    const base = key.slice(2).toLowerCase();
+    return base.includes('.') &&
+           !/^[\d.]+$/.test(base) &&
+           !MULTI_PART_SUFFIXES.has(base) &&
+           getRegistrableDomain(base) === base;
+  }
+
+  /**
+   * Checks whether a site key covers a hostname
+   * @param {string} key - Exact hostname or "*.domain" wildcard
+   * @param {string} hostname - Hostname of the page
+   * @returns {boolean} True if the key applies to the hostname
+   */
+  function matchesSiteKey(key, hostname) {
+    const host = hostname.toLowerCase();
+    const value = key.toLowerCase();
+
+    if (!value.startsWith('*.')) {
+      return value === host;
+    }
+
+    const base = value.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+
+  /**
+   * Lists every stored site key that applies to a hostname,
+   * the exact hostname first and then wildcards from narrowest to widest
+   * @param {string[]} keys - Stored site keys
+   * @param {string} hostname - Hostname of the page
+   * @returns {string[]} Matching keys
+   */
+  function getMatchingSiteKeys(keys, hostname) {
+    return keys
+      .filter(key => isValidSiteKey(key) && matchesSiteKey(key, hostname))
+      .sort((a, b) => {
+        if (!a.startsWith('*.')) return -1;
+        if (!b.startsWith('*.')) return 1;
+        return b.length - a.length;
+      });
+  }
+
+  /**
+   * Approximates the registrable domain ("old.reddit.com" -> "reddit.com")
+   * @param {string} hostname - Hostname of the page
+   * @returns {string} Registrable domain, or the hostname for IPs and single labels
+   */
+  function getRegistrableDomain(hostname) {
+    const host = hostname.toLowerCase();
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+
+    const labels = host.split('.');
+    if (labels.length <= 2) return host;
+
+    const lastTwo = labels.slice(-2).join('.');
+    const count = MULTI_PART_SUFFIXES.has(lastTwo) ? 3 : 2;
+    return labels.slice(-count).join('.');
+  }
+
+  /**
+   * Builds the wildcard key covering a hostname and all its sibling subdomains
+   * @param {string} hostname - Hostname of the page
+   * @returns {string} Wildcard key such as "*.reddit.com"
+   */
+  function getWildcardSiteKey(hostname) {
+    return `*.${getRegistrableDomain(hostname)}`;
+  }
+
+  /**
+   * Returns the undo history bucket for a site key or hostname
+   * A site, its subdomains and their wildcard key share one history, so
+   * moving a rule between them undoes as a single step
+   * @param {string} siteKey - Site key such as "www.reddit.com" or "*.reddit.com"
+   * @returns {string} Registrable domain such as "reddit.com"
+   */
+  function getHistoryKey(siteKey) {
+    return getRegistrableDomain(siteKey.replace(/^\*\./, ''));
+  }
+
+  // ============================================================================
+  // KEYWORD RULES
+  // ============================================================================
+
+  const MAX_KEYWORD_LENGTH = 200;
+  const RULE_ID_PATTERN = /^[a-z0-9-]{1,40}$/i;
+
+  /**
+   * Returns the identity of a stored rule
+   * CSS rules are identified by their selector, prefixed with the frame
+   * origin for rules picked inside an embedded frame; keyword rules share
+   * container selectors, so they carry their own id
+   * @param {Object} rule - Stored rule entry
+   * @returns {string} Rule key
+   */
+  function getRuleKey(rule) {
+    if (rule.type === 'text') return rule.id;
+    return rule.frameOrigin ? `${rule.frameOrigin} ${rule.selector}` : rule.selector;
+  }
+
+  /**
+   * Validates the origin of the embedded frame a rule was picked in
+   * @param {any} origin - Candidate origin
+   * @returns {boolean} True for http(s) origins such as "https://disqus.com"
+   */
+  function isValidFrameOrigin(origin) {
+    return typeof origin === 'string' && /^https?:\/\/[a-z0-9.-]+(:\d{1,5})?$/i.test(origin);
+  }
+
+  /**
+   * Creates a new keyword rule id
+   * @returns {string} Id safe to use in an attribute selector
+   */
+  function createRuleId() {
+    return `kw-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Checks a keyword rule id
+   * @param {any} id - Candidate id
+   * @returns {boolean} True if the id is safe to use in an attribute selector
+   */
+  function isValidRuleId(id) {
+    return typeof id === 'string' && RULE_ID_PATTERN.test(id);
+  }
+
+  /**
+   * Parses the keyword field: plain text, or /expression/flags for a regex
+   * @param {string} input - Keyword text
+   * @returns {Object} { text, matchType } condition
+   * @throws {Error} If the keyword is empty, too long or an invalid regex
+   */
+  function parseTextCondition(input) {
+    const value = String(input || '').trim();
+    const regexMatch = /^\/(.+)\/([i]*)$/.exec(value);
+    const condition = regexMatch
+      ? { text: regexMatch[1], matchType: 'regex', caseSensitive: regexMatch[2] !== 'i' }
+      : { text: value, matchType: 'contains', caseSensitive: false };
+
+    const normalized = normalizeTextCondition(condition);
+    if (!normalized) {
+      throw new Error(value ? 'Invalid keyword or regular expression' : 'Keyword is required');
+    }
+    return normalized;
+  }
+
+  /**
+   * Formats a keyword condition back into the text accepted by parseTextCondition
+   * @param {Object} condition - { text, matchType, caseSensitive }
+   * @returns {string} Keyword text
+   */
+  function formatTextCondition(condition) {
+    if (condition.matchType !== 'regex') return condition.text;
+    return `/${condition.text}/${condition.caseSensitive ? '' : 'i'}`;
+  }
+
+  /**
+   * Validates a stored or imported keyword condition
+   * @param {any} condition - Candidate { text, matchType, caseSensitive }
+   * @returns {Object|null} Cleaned condition or null if invalid
+   */
+  function normalizeTextCondition(condition) {
+    if (typeof condition !== 'object' || condition === null) return null;
+    if (typeof condition.text !== 'string' || !condition.text.trim()) return null;
+    if (condition.text.length > MAX_KEYWORD_LENGTH) return null;
+
+    const matchType = condition.matchType === 'regex' ? 'regex' : 'contains';
+    const cleaned = { text: condition.text, matchType, caseSensitive: condition.caseSensitive === true };
+
+    try {
+      createTextMatcher(cleaned);
+    } catch (error) {
+      return null;
+    }
+    return cleaned;
+  }
+
+  /**
+   * Compiles a keyword condition into a predicate over element text
+   * @param {Object} condition - { text, matchType, caseSensitive }
+   * @returns {function(string): boolean} Matcher
+   */
+  function createTextMatcher(condition) {
+    if (condition.matchType === 'regex') {
+      const regex = new RegExp(condition.text, condition.caseSensitive ? '' : 'i');
+      return text => regex.test(text);
+    }
+
+    if (condition.caseSensitive) {
+      return text => text.includes(condition.text);
+    }
+
+    const needle = condition.text.toLowerCase();
+    return text => text.toLowerCase().includes(needle);
+  }
+
+  // ============================================================================
+  // HIDE STYLES
+  // ============================================================================
+
+  // How a matched element is hidden; "collapse" also gets a placeholder bar
+  const HIDE_STYLES = {
+    remove: { label: 'Remove', declaration: 'display: none !important;' },
+    collapse: { label: 'Collapse', declaration: 'display: none !important;' },
+    blur: { label: 'Blur', declaration: 'filter: blur(8px) !important;' },
+    dim: { label: 'Dim', declaration: 'opacity: 0.15 !important;' },
+    grayscale: { label: 'Grayscale', declaration: 'filter: grayscale(1) !important;' }
+  };
+  const DEFAULT_HIDE_STYLE = 'remove';
+
+  // Set on an element while its collapse placeholder has it revealed
+  const REVEALED_ATTRIBUTE = 'data-focus-mode-revealed';
+
+  /**
+   * Validates a hide style name
+   * @param {any} style - Candidate style
+   * @returns {string|null} The style, or null if unknown
+   */
+  function normalizeHideStyle(style) {
+    return Object.prototype.hasOwnProperty.call(HIDE_STYLES, style) ? style : null;
+  }
+
+  /**
+   * Builds the CSS rule for a sanitized selector in a given hide style
+   * Collapsed elements stay visible while their placeholder reveals them
+   * @param {string} selector - Sanitized CSS selector
+   * @param {string} style - Hide style name
+   * @returns {string} CSS rule text
+   */
+  function buildHideRule(selector, style) {
+    const hideStyle = HIDE_STYLES[style] || HIDE_STYLES[DEFAULT_HIDE_STYLE];
+    const target = style === 'collapse' ? `:is(${selector}):not([${REVEALED_ATTRIBUTE}])` : selector;
+    return `${target} { ${hideStyle.declaration} }`;
+  }
+
+  // ============================================================================
+  // SHADOW DOM SELECTORS
+  // ============================================================================
+
+  // Joins the parts of a host-chain selector such as "app-shell >>> .promo":
+  // each part after the first is matched inside the open shadow roots of the
+  // elements the part before it matched
+  const SHADOW_SEPARATOR = ' >>> ';
+
+  /**
+   * Checks whether a selector reaches into shadow roots
+   * @param {string} selector - Stored selector
+   * @returns {boolean} True for host-chain selectors
+   */
+  function isShadowSelector(selector) {
+    return selector.includes('>>>');
+  }
+
+  /**
+   * Splits a host-chain selector into its parts, outermost host first
+   * A plain selector comes back as a single part.
+   * @param {string} selector - Stored selector
+   * @returns {string[]} Selector parts
+   */
+  function splitShadowSelector(selector) {
+    return selector.split('>>>').map(part => part.trim());
+  }
+
+  /**
+   * Builds a host-chain selector from its parts
+   * @param {string[]} parts - Selector parts, outermost host first
+   * @returns {string} Stored selector
+   */
+  function joinShadowSelector(parts) {
+    return parts.join(SHADOW_SEPARATOR);
+  }
+
+  // ============================================================================
+  // RULE VALIDATION
+  // ============================================================================
+
+  // Patterns that could break out of a selector into arbitrary CSS
+  const DANGEROUS_SELECTOR_PATTERNS = ['{', '}', ';', '/*', '*/', '@import', '@charset', 'javascript:', '<script'];
+  const MAX_RULES_TOTAL = 10000;
+  const MAX_RULES_PER_SITE = 100;
+  const MAX_SELECTOR_LENGTH = 1000;
+
+  // Repairs of a rule's selector kept on the rule, newest last
+  const MAX_RULE_REPAIRS = 5;
+
+  /**
+   * Finds the first dangerous pattern in a selector
+   * @param {string} selector - The CSS selector to check
+   * @returns {string|null} The pattern found, or null if the selector is safe
+   */
+  function findDangerousPattern(selector) {
+    return DANGEROUS_SELECTOR_PATTERNS.find(pattern => selector.includes(pattern)) || null;
+  }
+
+  /**
+   * Normalizes an element fingerprint stored with a rule
+   * Only its shape is checked; the content script scores page elements
+   * against it and never injects it into CSS.
+   * @param {any} fingerprint - Candidate fingerprint
+   * @returns {Object|null} { tag, attributes, classes, text, ancestors }, or null if unusable
+   */
+  function normalizeFingerprint(fingerprint) {
+    if (typeof fingerprint !== 'object' || fingerprint === null) return null;
+
+    const isName = value => typeof value === 'string' && /^[a-z][a-z0-9-]{0,49}$/i.test(value);
+    const isValue = value => typeof value === 'string' && value.length <= 200;
+    const classList = (list, max) => (Array.isArray(list) ? list.filter(isValue).slice(0, max) : []);
+
+    if (!isName(fingerprint.tag)) return null;
+
+    const attributes = {};
+    const entries = typeof fingerprint.attributes === 'object' && fingerprint.attributes !== null
+      ? Object.entries(fingerprint.attributes)
+      : [];
+    for (const [name, value] of entries.slice(0, 10)) {
+      if (isName(name) && isValue(value)) {
+        attributes[name] = value;
+      }
+    }
+
+    const ancestors = (Array.isArray(fingerprint.ancestors) ? fingerprint.ancestors : [])
+      .filter(ancestor => ancestor && isName(ancestor.tag))
+      .slice(0, 4)
+      .map(ancestor => {
+        const entry = { tag: ancestor.tag.toLowerCase(), classes: classList(ancestor.classes, 3) };
+        if (isValue(ancestor.id) && ancestor.id) {
+          entry.id = ancestor.id;
+        }
+        return entry;
+      });
+
+    return {
+      tag: fingerprint.tag.toLowerCase(),
+      attributes,
+      classes: classList(fingerprint.classes, 10),
+      text: typeof fingerprint.text === 'string' ? fingerprint.text.substring(0, 80) : '',
+      ancestors
+    };
+  }
+
+  /**
+   * Validates rules from an untrusted source (imports, subscriptions)
+   * Keeps only known fields; anything unsafe or malformed is rejected with a reason
+   * @param {any} data - Candidate rules per site key
+   * @param {Object} options - { allowRegex: false } refuses regex page patterns
+   *   and keyword rules, for lists fetched and refreshed without a preview
+   * @returns {{rules: Object, rejected: {siteKey: string|null, selector: string|null, reason: string}[]}}
+   *   Validated rules per site key, and what was left out
+   */
+  function validateRuleData(data, options = {}) {
+    const allowRegex = options.allowRegex !== false;
+    const rules = {};
+    const rejected = [];
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      rejected.push({ siteKey: null, selector: null, reason: 'Data must be an object of site keys' });
+      return { rules, rejected };
+    }
+
+    let total = 0;
+
+    for (const [siteKey, items] of Object.entries(data)) {
+      const reject = (selector, reason) => rejected.push({ siteKey, selector, reason });
+
+      // Site key should look like a valid hostname or a leading "*." wildcard
+      if (!isValidSiteKey(siteKey)) {
+        reject(null, 'Invalid site key');
+        continue;
+      }
+
+      if (!Array.isArray(items)) {
+        reject(null, 'Rules must be a list');
+        continue;
+      }
+
+      if (total >= MAX_RULES_TOTAL) {
+        reject(null, `More than ${MAX_RULES_TOTAL} rules in total`);
+        continue;
+      }
+
+      items.slice(MAX_RULES_PER_SITE).forEach(item => {
+        reject(item && item.selector, `More than ${MAX_RULES_PER_SITE} rules for one site`);
+      });
+
+      const valid = [];
+      for (const item of items.slice(0, MAX_RULES_PER_SITE)) {
+        if (typeof item !== 'object' || item === null) {
+          reject(null, 'Not a rule object');
+          continue;
+        }
+
+        const { selector } = item;
+        if (!selector || typeof selector !== 'string') {
+          reject(null, 'Missing selector');
+          continue;
+        }
+
+        if (selector.length > MAX_SELECTOR_LENGTH) {
+          reject(selector.substring(0, 80), `Selector too long (${selector.length} chars)`);
+          continue;
+        }
+
+        const dangerous = findDangerousPattern(selector);
+        if (dangerous) {
+          reject(selector, `Unsafe selector (contains "${dangerous}")`);
+          continue;
+        }
+
+        // Dropping a bad URL pattern would widen the rule to the whole site, so skip it
+        let urlPattern = null;
+        if (item.urlPattern !== undefined && item.urlPattern !== null) {
+          urlPattern = normalizeUrlPattern(item.urlPattern);
+          if (!urlPattern) {
+            reject(selector, 'Invalid page pattern');
+            continue;
+          }
+          if (!allowRegex && urlPattern.type === 'regex') {
+            reject(selector, 'Regular expression page patterns are not accepted here');
+            continue;
+          }
+        }
+
+        // Likewise, a frame rule without its origin would start applying to the top page
+        if (item.frameOrigin !== undefined && item.frameOrigin !== null && !isValidFrameOrigin(item.frameOrigin)) {
+          reject(selector, 'Invalid frame origin');
+          continue;
+        }
+
+        const entry = {
+          selector,
+          label: typeof item.label === 'string' && item.label ? item.label.substring(0, 100) : selector,
+          timestamp: Number.isFinite(item.timestamp) ? item.timestamp : Date.now()
+        };
+
+        if (item.type === 'text') {
+          // Keyword rules: the selector is the container, the condition does the matching
+          const condition = normalizeTextCondition(item);
+          if (!condition) {
+            reject(selector, 'Invalid keyword rule');
+            continue;
+          }
+          if (!allowRegex && condition.matchType === 'regex') {
+            reject(selector, 'Regular expression keywords are not accepted here');
+            continue;
+          }
+          entry.type = 'text';
+          entry.id = isValidRuleId(item.id) ? item.id : createRuleId();
+          Object.assign(entry, condition);
+        }
+
+        if (urlPattern) {
+          entry.urlPattern = urlPattern;
+        }
+        if (item.frameOrigin && item.type !== 'text') {
+          entry.frameOrigin = item.frameOrigin.toLowerCase();
+        }
+        if (normalizeHideStyle(item.hideStyle)) {
+          entry.hideStyle = item.hideStyle;
+        }
+        if (item.sessionOnly === true) {
+          entry.sessionOnly = true;
+        }
+        if (item.type !== 'text' && item.fingerprint !== undefined) {
+          const fingerprint = normalizeFingerprint(item.fingerprint);
+          if (fingerprint) {
+            entry.fingerprint = fingerprint;
+          }
+        }
+        if (Array.isArray(item.repairs)) {
+          const repairs = item.repairs.filter(repair => {
+            return repair && typeof repair.from === 'string' && typeof repair.to === 'string' &&
+              repair.from.length <= MAX_SELECTOR_LENGTH && repair.to.length <= MAX_SELECTOR_LENGTH &&
+              Number.isFinite(repair.repairedAt);
+          }).slice(-MAX_RULE_REPAIRS).map(({ from, to, repairedAt }) => ({ from, to, repairedAt }));
+          if (repairs.length > 0) {
+            entry.repairs = repairs;
+          }
+        }
+        // An unreadable schedule is dropped; the rule itself is still fine
+        if (item.schedule !== undefined) {
+          const schedule = normalizeSchedule(item.schedule);
+          if (schedule) {
+            entry.schedule = schedule;
+          }
+        }
+
+        valid.push(entry);
+      }
+
+      if (valid.length > 0) {
+        rules[siteKey] = valid;
+        total += valid.length;
+      }
+    }
+
+    return { rules, rejected };
+  }
+
+  // ============================================================================
+  // FILTER LISTS
+  // ============================================================================
+
+  // Extended syntax from uBlock Origin, AdGuard and Adblock Plus that needs
+  // a script engine rather than plain CSS
+  const PROCEDURAL_OPERATORS = [
+    ':has-text(', ':contains(', ':-abp-', ':xpath(', ':upward(', ':nth-ancestor(',
+    ':matches-css', ':matches-attr(', ':matches-path(', ':matches-media(',
+    ':min-text-length(', ':watch-attr(', ':others(', ':if(', ':if-not(',
+    ':remove(', ':remove-attr(', ':remove-class(', ':style('
+  ];
+  const FILTER_LINE_PATTERN = /^([^#]*?)(#@?[?$%]?#)(.+)$/;
+
+  /**
+   * Parses cosmetic filter lines such as "example.com##.sidebar"
+   * A filter applies to its domain and every subdomain, so registrable
+   * domains become wildcard site keys; deeper subdomains keep their exact
+   * hostname, and filters on a top-level domain or public suffix ("com##",
+   * "co.uk##") are refused. Exceptions ("#@#") come back separately for the
+   * caller to remove; anything we can't express is reported with a reason.
+   * Selectors are not sanitized here.
+   * @param {string} text - Filter list contents
+   * @returns {{rules: Object, exceptions: Object, unsupported: Object[]}} Selectors per site key,
+   *   exception selectors per site key, and { line, text, reason } for skipped lines
+   */
+  function parseCosmeticFilters(text) {
+    const rules = {};
+    const exceptions = {};
+    const unsupported = [];
+
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+
+      // Blank lines, "! comments", "# comments" and "[Adblock Plus 2.0]" headers
+      if (!line || line.startsWith('!') || line.startsWith('# ') || /^\[.*\]$/.test(line)) return;
+
+      const report = reason => unsupported.push({ line: index + 1, text: line, reason });
+
+      const match = line.match(FILTER_LINE_PATTERN);
+      if (!match) {
+        report('network filter (only element hiding is supported)');
+        return;
+      }
+
+      const [, domainList, separator, body] = match;
+      const isException = separator.includes('@');
+      const selector = body.trim();
+
+      if (separator.length > (isException ? 3 : 2)) {
+        report('procedural or scriptlet filter');
+        return;
+      }
+      if (selector.startsWith('^') || selector.startsWith('+js(')) {
+        report('HTML or scriptlet filter');
+        return;
+      }
+
+      const operator = PROCEDURAL_OPERATORS.find(op => selector.includes(op));
+      if (operator) {
+        report(`procedural filter ${operator}...)`);
+        return;
+      }
+
+      if (!domainList.trim()) {
+        report('generic filter without a domain');
+        return;
+      }
+
+      const domains = domainList.split(',').map(domain => domain.trim().toLowerCase());
+      if (domains.some(domain => domain.startsWith('~'))) {
+        report('excluded domains (~) are not supported');
+        return;
+      }
+
+      const broad = domains.find(domain => !domain.includes('.') || MULTI_PART_SUFFIXES.has(domain));
+      if (broad) {
+        report(`"${broad}" is a top-level domain or public suffix`);
+        return;
+      }
+
+      const siteKeys = domains.map(domain => {
+        return getRegistrableDomain(domain) === domain ? `*.${domain}` : domain;
+      });
+      const invalid = siteKeys.find(siteKey => !isValidSiteKey(siteKey));
+      if (invalid) {
+        report(`unsupported domain "${invalid.replace(/^\*\./, '')}"`);
+        return;
+      }
+
+      const target = isException ? exceptions : rules;
+      for (const siteKey of siteKeys) {
+        target[siteKey] = target[siteKey] || [];
+        if (!target[siteKey].includes(selector)) {
+          target[siteKey].push(selector);
+        }
+      }
+    });
+
+    return { rules, exceptions, unsupported };
+  }
+
+  /**
+   * Writes stored rules as cosmetic filter lines
+   * Keyword rules, rules limited to some pages, times or sessions, and
+   * rules inside shadow roots or embedded frames have no cosmetic filter
+   * equivalent and are left out rather than widened
+   * @param {Object} hiddenSelectors - Rules per site key
+   * @returns {{text: string, count: number, skipped: number}} Filter list text and counts
+   */
+  function formatCosmeticFilters(hiddenSelectors) {
+    const lines = [
+      '! Title: Focus Mode rules',
+      `! Last modified: ${new Date().toISOString()}`
+    ];
+    let count = 0;
+    let skipped = 0;
+
+    for (const [siteKey, rules] of Object.entries(hiddenSelectors)) {
+      const domain = siteKey.replace(/^\*\./, '');
+
+      for (const rule of rules) {
+        if (rule.type === 'text' || rule.urlPattern || rule.schedule || rule.sessionOnly ||
+            rule.frameOrigin || isShadowSelector(rule.selector)) {
+          skipped++;
+          continue;
+        }
+        lines.push(`${domain}##${rule.selector}`);
+        count++;
+      }
+    }
+
+    return { text: `${lines.join('\n')}\n`, count, skipped };
+  }
+
+  // ============================================================================
+  // PAGE RULES
+  // ============================================================================
+
+  // Storage keys that decide which rules apply on a page
+  const PAGE_RULE_KEYS = ['hiddenSelectors', 'subscriptions', 'subscriptionRules', 'settings', 'siteSettings', 'focusSession'];
+
+  /**
+   * Collects the stored rule entries that apply to a hostname, merged from
+   * the exact hostname and every matching wildcard key, then from each
+   * enabled subscription (whose rules carry a source field)
+   * @param {Object} stored - Storage values for PAGE_RULE_KEYS
+   * @param {string} hostname - Page hostname
+   * @returns {Object[]} Rule entries tagged with the siteKey they came from
+   */
+  function collectSiteRules(stored, hostname) {
+    const subscriptionRules = stored.subscriptionRules || {};
+
+    // Personal rules first, so they win over a subscription's copy of the same selector
+    const ruleSets = [stored.hiddenSelectors || {}];
+    for (const subscription of stored.subscriptions || []) {
+      if (subscription.enabled !== false && subscriptionRules[subscription.id]) {
+        ruleSets.push(subscriptionRules[subscription.id]);
+      }
+    }
+
+    return ruleSets.flatMap(ruleSet => {
+      const siteKeys = getMatchingSiteKeys(Object.keys(ruleSet), hostname);
+      return siteKeys.flatMap(siteKey => {
+        return (ruleSet[siteKey] || [])
+          .filter(item => !item.source || !usesRegex(item))
+          .map(item => ({ ...item, siteKey }));
+      });
+    });
+  }
+
+  /**
+   * Checks whether a rule runs a regular expression on each page or node
+   * Subscribed lists can't use them: one catastrophic pattern in a list
+   * refreshed in the background could freeze every tab
+   * @param {Object} item - Stored rule entry
+   * @returns {boolean} True for regex page patterns and regex keywords
+   */
+  function usesRegex(item) {
+    return Boolean(item.urlPattern && item.urlPattern.type === 'regex') ||
+           (item.type === 'text' && item.matchType === 'regex');
+  }
+
+  /**
+   * Works out the switches that decide which rules currently apply on a hostname
+   * Paused rules stay in storage; only their injection is skipped
+   * @param {Object} stored - Storage values for PAGE_RULE_KEYS
+   * @param {string} hostname - Page hostname
+   * @param {number} now - Current time in ms
+   * @returns {Object} { enabled, sessionActive, sessionEndsAt, sessionOnly, siteSchedule, siteHideStyle }
+   */
+  function getHidingState(stored, hostname, now = Date.now()) {
+    const settings = stored.settings || {};
+    const forDomain = (stored.siteSettings || {})[hostname] || {};
+    const session = stored.focusSession;
+    const sessionActive = Boolean(session && session.endsAt > now);
+
+    return {
+      enabled: settings.enabled !== false && !forDomain.paused,
+      sessionActive,
+      sessionEndsAt: sessionActive ? session.endsAt : null,
+      sessionOnly: settings.sessionOnly === true,
+      siteSchedule: forDomain.schedule || null,
+      siteHideStyle: normalizeHideStyle(forDomain.hideStyle)
+    };
+  }
+
+  /**
+   * Checks whether a stored rule entry should be applied right now
+   * @param {Object} item - Stored rule entry
+   * @param {Object} state - Result of getHidingState()
+   * @param {string} pageUrl - URL of the top-level page
+   * @param {string|null} frameOrigin - Origin of the frame, or null in the top frame
+   * @returns {boolean} True if the rule is active
+   */
+  function isRuleActive(item, state, pageUrl, frameOrigin) {
+    // Session-only rules form the stricter set enforced during focus sessions
+    if (item.sessionOnly && !state.sessionActive) {
+      return false;
+    }
+
+    // URL-scoped rules only apply on matching pages of the site
+    if (item.urlPattern && !matchesUrlPattern(item.urlPattern, pageUrl)) {
+      return false;
+    }
+
+    // Rules picked inside an embedded frame only apply in frames from that origin
+    if ((item.frameOrigin || null) !== frameOrigin) {
+      return false;
+    }
+
+    // A rule's own schedule takes precedence over the site-wide one
+    const schedule = item.schedule || state.siteSchedule;
+    return isScheduleActive(schedule);
+  }
+
+  /**
+   * Picks the rules that currently apply
+   * @param {Object[]} rules - Result of collectSiteRules()
+   * @param {Object} state - Result of getHidingState()
+   * @param {string} pageUrl - URL of the top-level page
+   * @param {string|null} frameOrigin - Origin of the frame, or null in the top frame
+   * @returns {Object[]} Active rule entries
+   */
+  function getActiveRules(rules, state, pageUrl, frameOrigin) {
+    // Nothing applies while paused, or outside a session in session-only mode
+    if (!state.enabled || (state.sessionOnly && !state.sessionActive)) {
+      return [];
+    }
+
+    return rules.filter(item => isRuleActive(item, state, pageUrl, frameOrigin));
+  }
+
+  /**
+   * Builds the stylesheet injected when a page starts loading, before the
+   * content script runs. Only plain selector rules are included: keyword
+   * rules and rules inside shadow roots need the content script.
+   * @param {Object} stored - Storage values for PAGE_RULE_KEYS
+   * @param {string} pageUrl - URL of the top-level page
+   * @param {string|null} frameOrigin - Origin of the frame, or null in the top frame
+   * @returns {string} Stylesheet text, empty if nothing needs hiding
+   */
+  function buildEarlyStylesheet(stored, pageUrl, frameOrigin) {
+    let hostname;
+    try {
+      hostname = new URL(pageUrl).hostname;
+    } catch (error) {
+      return '';
+    }
+    if (!hostname) return '';
+
+    const state = getHidingState(stored, hostname);
+    const activeRules = getActiveRules(collectSiteRules(stored, hostname), state, pageUrl, frameOrigin);
+    const seen = new Set();
+    let css = '';
+
+    for (const item of activeRules) {
+      const selector = item.selector;
+      if (item.type === 'text' || typeof selector !== 'string' || seen.has(selector)) continue;
+      if (isShadowSelector(selector) || findDangerousPattern(selector)) continue;
+      seen.add(selector);
+
+      const hideStyle = normalizeHideStyle(item.hideStyle) || state.siteHideStyle || DEFAULT_HIDE_STYLE;
+      css += `${buildHideRule(selector, hideStyle)}\n`;
+    }
+
+    return css;
+  }
+
+  // ============================================================================
+  // RULE HEALTH
+  // ============================================================================
+
+  // Visits in a row without a single match before a rule counts as stale
+  const STALE_AFTER_VISITS = 3;
+
+  /**
+   * Describes what looks wrong with a rule, judging from the match stats
+   * the content script records on each visit
+   * @param {Object|undefined} health - { lastMatchedAt, zeroMatchVisits, tooBroad }
+   * @returns {{type: string, message: string}|null} 'stale' or 'broad' issue, or null if healthy
+   */
+  function getRuleHealthIssue(health) {
+    if (!health) return null;
+
+    if (health.tooBroad) {
+      return { type: 'broad', message: health.tooBroad };
+    }
+
+    if (health.zeroMatchVisits >= STALE_AFTER_VISITS) {
+      const lastMatched = health.lastMatchedAt
+        ? `last matched ${new Date(health.lastMatchedAt).toLocaleDateString()}`
+        : 'never matched';
+      return {
+        type: 'stale',
+        message: `Nothing matched on the last ${health.zeroMatchVisits} visits (${lastMatched})`
+      };
+    }
+
+    return null;
+  }
+
+  root.FocusModeShared = {
+    parseSchedule,
+    normalizeSchedule,
+    formatSchedule,
+    isScheduleActive,
+    getNextScheduleBoundary,
+    parseUrlPattern,
+    normalizeUrlPattern,
+    formatUrlPattern,
+    matchesUrlPattern,
+    createScopePattern,
+    isValidSiteKey,
+    matchesSiteKey,
+    getMatchingSiteKeys,
+    getRegistrableDomain,
+    getWildcardSiteKey,
+    getHistoryKey,
+    getRuleKey,
+    isValidFrameOrigin,
+    createRuleId,
+    isValidRuleId,
+    parseTextCondition,
+    formatTextCondition,
+    normalizeTextCondition,
+    createTextMatcher,
+    HIDE_STYLES,
+    DEFAULT_HIDE_STYLE,
+    REVEALED_ATTRIBUTE,
+    normalizeHideStyle,
+    buildHideRule,
+    isShadowSelector,
+    splitShadowSelector,
+    joinShadowSelector,
+    findDangerousPattern,
+    MAX_RULE_REPAIRS,
+    normalizeFingerprint,
+    validateRuleData,
+    parseCosmeticFilters,
+    formatCosmeticFilters,
+    PAGE_RULE_KEYS,
+    collectSiteRules,
+    getHidingState,
+    isRuleActive,
+    getActiveRules,
+    buildEarlyStylesheet,
+    STALE_AFTER_VISITS,
+    getRuleHealthIssue
+  };
+})(typeof self !== 'undefined' ? self : this);